@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { publicUrl } from '../utils/signedTokens.js';
+import logger from '../utils/logger.js';
+
+// Compare secrets without leaking their length or contents through timing
+const safeEqual = (a, b) => {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+};
+
+// Read the password from an "Authorization: Basic ..." header
+const basicAuthPassword = (header) => {
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator === -1 ? null : decoded.slice(separator + 1);
+};
+
+// Authenticate Mailjet event callbacks. Mailjet cannot sign requests, so the
+// callback URL carries the shared secret either as basic auth credentials
+// (https://mailjet:<secret>@host/...) or as a ?token=<secret> query parameter.
+const verifyMailjetWebhook = (req, res, next) => {
+  const secret = process.env.MAILJET_WEBHOOK_SECRET || process.env.EMAIL_WEBHOOK_SECRET;
+
+  if (!secret) {
+    logger.warn('Mailjet webhook rejected: no webhook secret configured');
+    return res.status(401).json({
+      success: false,
+      message: 'Webhook authentication not configured'
+    });
+  }
+
+  const supplied = basicAuthPassword(req.headers.authorization) || req.query.token;
+
+  if (!supplied || !safeEqual(supplied, secret)) {
+    logger.warn(`Mailjet webhook rejected: invalid credentials from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook credentials'
+    });
+  }
+
+  next();
+};
+
+// Authenticate Twilio callbacks by their X-Twilio-Signature, an HMAC of the public
+// URL Twilio requested plus the POST parameters, keyed by the account auth token.
+// TWILIO_WEBHOOK_VALIDATION=false skips the check outside production so a local
+// stand-in can post unsigned requests.
+const verifyTwilioSignature = (req, res, next) => {
+  if (process.env.TWILIO_WEBHOOK_VALIDATION === 'false') {
+    if (process.env.NODE_ENV !== 'production') {
+      logger.warn(`Twilio signature check bypassed for ${req.originalUrl}`);
+      return next();
+    }
+    logger.warn('TWILIO_WEBHOOK_VALIDATION=false is ignored in production');
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    logger.warn(`Twilio webhook rejected: no auth token configured (${req.originalUrl} from ${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      message: 'Webhook authentication not configured'
+    });
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  // Behind a proxy the local URL differs from the one Twilio signed
+  const url = publicUrl(req.originalUrl);
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    logger.warn(`Twilio webhook rejected: ${signature ? 'invalid' : 'missing'} signature for ${url} from ${req.ip}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+export { verifyMailjetWebhook, verifyTwilioSignature, safeEqual };
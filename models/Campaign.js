@@ -7,20 +7,81 @@ const campaignSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email'
+  },
   subject: {
     type: String,
-    required: true,
+    required: function() { return this.channel !== 'sms'; },
     trim: true,
     maxlength: 200
   },
   content: {
     html: {
       type: String,
-      required: true
+      required: function() { return this.channel !== 'sms'; }
     },
     text: {
       type: String,
-      required: true
+      required: function() { return this.channel !== 'sms'; }
+    }
+  },
+  message: {
+    type: String,
+    required: function() { return this.channel === 'sms'; },
+    trim: true,
+    maxlength: 1600
+  },
+  // Contacts can opt out of a topic from the preference center
+  topic: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50,
+    default: null
+  },
+  // SMS campaigns replace URLs with per-recipient short links
+  shortenLinks: {
+    type: Boolean,
+    default: true
+  },
+  // UTM tagging for links; null fields inherit the owner's defaults
+  utm: {
+    enabled: {
+      type: Boolean,
+      default: null
+    },
+    source: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    medium: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    campaign: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    term: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
     }
   },
   template: {
@@ -82,6 +143,130 @@ const campaignSchema = new mongoose.Schema({
     failed: {
       type: Number,
       default: 0
+    },
+    // Unique opens and clicks by people, after bot and scanner filtering
+    humanOpened: {
+      type: Number,
+      default: 0
+    },
+    humanClicked: {
+      type: Number,
+      default: 0
+    },
+    complained: {
+      type: Number,
+      default: 0
+    },
+    unsubscribed: {
+      type: Number,
+      default: 0
+    },
+    // Recipients left out at launch because they were on a suppression list
+    suppressed: {
+      type: Number,
+      default: 0
+    },
+    cost: {
+      type: Number,
+      default: 0
+    }
+  },
+  abTest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    variants: [{
+      name: {
+        type: String,
+        trim: true,
+        maxlength: 50
+      },
+      subject: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+      },
+      content: {
+        html: {
+          type: String,
+          required: true
+        },
+        text: {
+          type: String,
+          default: ''
+        }
+      }
+    }],
+    testPercentage: {
+      type: Number,
+      min: 5,
+      max: 50,
+      default: 20
+    },
+    winnerCriteria: {
+      type: String,
+      enum: ['open_rate', 'click_rate'],
+      default: 'open_rate'
+    },
+    waitHours: {
+      type: Number,
+      min: 1,
+      max: 168,
+      default: 4
+    },
+    phase: {
+      type: String,
+      enum: ['pending', 'testing', 'waiting', 'deciding', 'final', 'completed'],
+      default: 'pending'
+    },
+    testRecipients: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact'
+    }],
+    decideAt: {
+      type: Date,
+      default: null
+    },
+    winnerVariant: {
+      type: Number,
+      default: null
+    },
+    winnerSelectedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  delivery: {
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    pausedAt: {
+      type: Date,
+      default: null
+    },
+    resumedAt: {
+      type: Date,
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    quotaReserved: {
+      type: Number,
+      default: 0
+    },
+    quotaRefunded: {
+      type: Number,
+      default: 0
+    },
+    // Touched by the dispatching process after every batch; a stale one means it died mid-send
+    heartbeatAt: {
+      type: Date,
+      default: null
     }
   },
   metadata: {
@@ -93,10 +278,23 @@ const campaignSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A/B tests need two to four variants
+campaignSchema.path('abTest.variants').validate(function(variants) {
+  if (!this.abTest || !this.abTest.enabled) return true;
+  return variants.length >= 2 && variants.length <= 4;
+}, 'A/B tests require between 2 and 4 variants');
+
+// A/B tests vary subject and HTML content, so they only apply to email campaigns
+campaignSchema.path('abTest.enabled').validate(function(enabled) {
+  return !enabled || this.channel !== 'sms';
+}, 'A/B tests are only supported for email campaigns');
+
 // Indexes
 campaignSchema.index({ userId: 1, status: 1 });
+campaignSchema.index({ userId: 1, channel: 1 });
 campaignSchema.index({ scheduledAt: 1 });
 campaignSchema.index({ createdAt: -1 });
+campaignSchema.index({ status: 1, 'abTest.phase': 1, 'abTest.decideAt': 1 });
 
 // Virtual for open rate
 campaignSchema.virtual('openRate').get(function() {
@@ -110,12 +308,29 @@ campaignSchema.virtual('clickRate').get(function() {
   return Math.round((this.stats.clicked / this.stats.delivered) * 100) / 100;
 });
 
+// Virtual for open rate counting only human opens
+campaignSchema.virtual('humanOpenRate').get(function() {
+  if (this.stats.delivered === 0) return 0;
+  return Math.round((this.stats.humanOpened / this.stats.delivered) * 100) / 100;
+});
+
+// Virtual for click rate counting only human clicks
+campaignSchema.virtual('humanClickRate').get(function() {
+  if (this.stats.delivered === 0) return 0;
+  return Math.round((this.stats.humanClicked / this.stats.delivered) * 100) / 100;
+});
+
 // Virtual for delivery rate
 campaignSchema.virtual('deliveryRate').get(function() {
   if (this.stats.sent === 0) return 0;
   return Math.round((this.stats.delivered / this.stats.sent) * 100) / 100;
 });
 
+// Virtual for recipients already processed (sent or failed)
+campaignSchema.virtual('processedRecipients').get(function() {
+  return this.stats.sent + this.stats.failed;
+});
+
 // Methods
 campaignSchema.methods.updateStats = function(statType, increment = 1) {
   if (this.stats[statType] !== undefined) {
@@ -162,7 +377,8 @@ campaignSchema.statics.getCampaignStats = function(userId, startDate, endDate) {
         totalOpened: { $sum: '$stats.opened' },
         totalClicked: { $sum: '$stats.clicked' },
         totalBounced: { $sum: '$stats.bounced' },
-        totalFailed: { $sum: '$stats.failed' }
+        totalFailed: { $sum: '$stats.failed' },
+        totalCost: { $sum: '$stats.cost' }
       }
     }
   ]);
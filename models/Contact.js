@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Engagement scores halve every ENGAGEMENT_HALF_LIFE_DAYS (see engagementService)
+const ENGAGEMENT_HALF_LIFE_MS = (parseFloat(process.env.ENGAGEMENT_HALF_LIFE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
 const contactSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -43,9 +46,10 @@ const contactSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Typed (number, date, boolean, list) when the key has a CustomFieldDefinition, else text
   customFields: {
     type: Map,
-    of: String,
+    of: mongoose.Schema.Types.Mixed,
     default: {}
   },
   status: {
@@ -63,6 +67,20 @@ const contactSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Preference center opt-outs that stop short of unsubscribing from everything
+  unsubscribedGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContactGroup'
+  }],
+  unsubscribedTopics: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  },
   lastContacted: {
     type: Date,
     default: null
@@ -74,9 +92,49 @@ const contactSchema = new mongoose.Schema({
   phoneVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Kept up to date by engagementService as tracking events arrive. score is as of
+  // scoredAt; rank orders contacts by their current, decayed score.
+  engagement: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    scoredAt: {
+      type: Date,
+      default: null
+    },
+    rank: {
+      type: Number,
+      default: null
+    },
+    lastEngagedAt: {
+      type: Date,
+      default: null
+    },
+    stage: {
+      type: String,
+      enum: ['new', 'engaged', 'at-risk', 'dormant'],
+      default: 'new'
+    }
+  },
+  // Contacts merged into this one; their messages are still found by these ids and addresses
+  mergedFrom: [{
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    email: String,
+    phone: String,
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Indexes
@@ -85,6 +143,18 @@ contactSchema.index({ userId: 1, status: 1 });
 contactSchema.index({ userId: 1, tags: 1 });
 contactSchema.index({ userId: 1, company: 1 });
 contactSchema.index({ email: 1 });
+contactSchema.index({ userId: 1, 'engagement.rank': -1 });
+contactSchema.index({ userId: 1, 'engagement.stage': 1 });
+contactSchema.index({ 'engagement.stage': 1, 'engagement.lastEngagedAt': 1 });
+
+// Virtual for the engagement score decayed to now
+contactSchema.virtual('engagementScore').get(function() {
+  if (!this.engagement || !this.engagement.score || !this.engagement.scoredAt) {
+    return 0;
+  }
+  const elapsed = Math.max(0, Date.now() - this.engagement.scoredAt.getTime());
+  return Math.round(this.engagement.score * Math.pow(0.5, elapsed / ENGAGEMENT_HALF_LIFE_MS) * 100) / 100;
+});
 
 // Methods
 contactSchema.methods.addTag = function(tag) {
@@ -128,10 +198,28 @@ contactSchema.statics.getUserContacts = function(userId, filters = {}) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
-contactSchema.statics.getContactsByGroup = function(userId, groupId) {
-  // This would need to be implemented based on your ContactGroup model
-  // For now, return all active contacts
-  return this.find({ userId, status: 'active' }).sort({ createdAt: -1 });
+// Active contacts in a group; dynamic segments are evaluated against their rules now
+contactSchema.statics.getContactsByGroup = async function(userId, groupId) {
+  const { default: ContactGroup } = await import('./ContactGroup.js');
+  const { default: segmentService } = await import('../services/segmentService.js');
+
+  const group = await ContactGroup.findOne({ _id: groupId, userId });
+  if (!group) {
+    return [];
+  }
+
+  return this.find(await segmentService.membersQuery(group)).sort({ createdAt: -1 });
+};
+
+// Phone numbers are stored as entered, so match the digits with any formatting between them
+contactSchema.statics.findByPhone = function(userId, phoneNumber) {
+  const digits = (phoneNumber || '').toString().replace(/\D/g, '');
+  if (!digits) {
+    return Promise.resolve(null);
+  }
+
+  const pattern = new RegExp(`^\\+?[\\s().-]*${digits.split('').join('[\\s().-]*')}[\\s().-]*$`);
+  return this.findOne({ userId, phone: pattern }).sort({ updatedAt: -1 });
 };
 
 contactSchema.statics.searchContacts = function(userId, searchTerm) {
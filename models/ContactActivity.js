@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Changes to a contact that leave no other record, shown in the contact timeline.
+// Messages and tracking events are read from their own collections instead.
+const contactActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['group_added', 'group_removed', 'merged'],
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContactGroup',
+    default: null
+  },
+  // Snapshot of names etc. so the entry still reads well after the group is deleted
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to record the same change for several contacts
+contactActivitySchema.statics.record = function(userId, contactIds, type, { groupId = null, details = {} } = {}) {
+  if (!contactIds || contactIds.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const occurredAt = new Date();
+  return this.insertMany(contactIds.map(contactId => ({ userId, contactId, type, groupId, details, occurredAt })));
+};
+
+// Static method to record group membership changes between two member lists
+contactActivitySchema.statics.recordGroupChanges = function(userId, group, before = [], after = []) {
+  const ids = list => list.map(id => id.toString());
+  const previous = new Set(ids(before));
+  const current = new Set(ids(after));
+  const options = { groupId: group._id, details: { groupName: group.name } };
+
+  return Promise.all([
+    this.record(userId, [...current].filter(id => !previous.has(id)), 'group_added', options),
+    this.record(userId, [...previous].filter(id => !current.has(id)), 'group_removed', options)
+  ]);
+};
+
+// Indexes
+contactActivitySchema.index({ contactId: 1, occurredAt: -1 });
+contactActivitySchema.index({ userId: 1, occurredAt: -1 });
+
+export default mongoose.model('ContactActivity', contactActivitySchema);
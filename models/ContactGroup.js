@@ -38,6 +38,11 @@ const contactGroupSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Nested and/or rules a dynamic segment is resolved from at send time (see segmentService)
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -92,17 +97,20 @@ contactGroupSchema.statics.getUserGroups = function(userId) {
   return this.find({ userId }).populate('contacts', 'name email phone company').sort({ createdAt: -1 });
 };
 
+// Create a dynamic segment from the simple tags/company/location/customFields filters
 contactGroupSchema.statics.createFromFilters = async function(userId, name, description, filters) {
-  // This would need to be implemented based on your Contact model
-  // For now, we'll create an empty group
+  const { default: segmentService } = await import('../services/segmentService.js');
+
   const group = new this({
     name,
     description,
     filters,
+    rules: segmentService.rulesFromFilters(filters),
     userId,
     isDynamic: true
   });
-  
+  group.contactCount = await segmentService.countMembers(group);
+
   return group.save();
 };
 
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A user's definition of one Contact.customFields key. Values of defined keys are stored
+// typed (numbers, dates, booleans, option lists) so segments can compare them.
+const customFieldDefinitionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Also the template variable name, so limited to what {{variable}} accepts
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]{0,49}$/, 'Key must start with a letter and contain only letters, digits and underscores (max 50)']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'boolean', 'select', 'multiselect'],
+    required: true
+  },
+  // Allowed values for select and multiselect fields
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+customFieldDefinitionSchema.pre('validate', function(next) {
+  const hasOptions = ['select', 'multiselect'].includes(this.type);
+  if (hasOptions && this.options.length === 0) {
+    this.invalidate('options', 'Select fields need at least one option');
+  }
+  if (!hasOptions) {
+    this.options = [];
+  }
+  next();
+});
+
+// Static method to get a user's definitions keyed by field key
+customFieldDefinitionSchema.statics.getForUser = async function(userId) {
+  const definitions = await this.find({ userId }).lean();
+  return new Map(definitions.map(definition => [definition.key, definition]));
+};
+
+// Indexes
+customFieldDefinitionSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
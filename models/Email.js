@@ -54,6 +54,22 @@ const emailSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
   sentAt: {
     type: Date,
     default: null
@@ -78,6 +94,16 @@ const emailSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Extra headers passed to the provider, e.g. List-Unsubscribe on campaign sends
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // UTM parameters added to every link at send time, e.g. { utm_source: 'newsletter' }
+  utm: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   tracking: {
     openCount: {
       type: Number,
@@ -94,6 +120,15 @@ const emailSchema = new mongoose.Schema({
     lastClicked: {
       type: Date,
       default: null
+    },
+    // Opens and clicks left after filtering out proxies, link previews and scanners
+    humanOpenCount: {
+      type: Number,
+      default: 0
+    },
+    humanClickCount: {
+      type: Number,
+      default: 0
     }
   },
   metadata: {
@@ -102,11 +137,25 @@ const emailSchema = new mongoose.Schema({
       ref: 'Campaign',
       default: null
     },
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
     templateId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Template',
       default: null
     },
+    variant: {
+      type: Number,
+      default: null
+    },
+    abTestPhase: {
+      type: String,
+      enum: ['test', 'winner', null],
+      default: null
+    },
     tags: [{
       type: String,
       trim: true
@@ -151,10 +200,14 @@ emailSchema.virtual('clickRate').get(function() {
   return this.tracking.clickCount > 0 ? 100 : 0;
 });
 
-// Mark email as sent
-emailSchema.methods.markAsSent = function() {
+// Mark email as sent, recording which provider accepted it
+emailSchema.methods.markAsSent = function(result = null) {
   this.status = 'sent';
   this.sentAt = new Date();
+  if (result) {
+    this.provider = result.provider || null;
+    this.providerMessageId = result.messageId || null;
+  }
   return this.save();
 };
 
@@ -229,7 +282,11 @@ emailSchema.statics.getUserStats = function(userId, startDate, endDate) {
         bounced: { $sum: { $cond: [{ $eq: ['$status', 'bounced'] }, 1, 0] } },
         failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
         totalOpens: { $sum: '$tracking.openCount' },
-        totalClicks: { $sum: '$tracking.clickCount' }
+        totalClicks: { $sum: '$tracking.clickCount' },
+        humanOpened: { $sum: { $cond: [{ $gt: ['$tracking.humanOpenCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } },
+        totalHumanOpens: { $sum: '$tracking.humanOpenCount' },
+        totalHumanClicks: { $sum: '$tracking.humanClickCount' }
       }
     }
   ]);
@@ -255,7 +312,11 @@ emailSchema.statics.getSystemStats = function(startDate, endDate) {
         bounced: { $sum: { $cond: [{ $eq: ['$status', 'bounced'] }, 1, 0] } },
         failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
         totalOpens: { $sum: '$tracking.openCount' },
-        totalClicks: { $sum: '$tracking.clickCount' }
+        totalClicks: { $sum: '$tracking.clickCount' },
+        humanOpened: { $sum: { $cond: [{ $gt: ['$tracking.humanOpenCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } },
+        totalHumanOpens: { $sum: '$tracking.humanOpenCount' },
+        totalHumanClicks: { $sum: '$tracking.humanClickCount' }
       }
     }
   ]);
@@ -287,11 +348,65 @@ emailSchema.statics.getDailyStats = function(startDate, endDate) {
   ]);
 };
 
+// Static method to atomically claim the next due email for a worker.
+// Claims older than staleAfterMs are considered abandoned and can be taken over.
+// Records owned by the outbound queue are retried by the queue, never by the scheduler.
+emailSchema.statics.claimDue = function(workerId, staleAfterMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      scheduledAt: { $lte: now },
+      claimedBy: { $ne: 'queue' },
+      $or: [
+        { claimedAt: null },
+        { claimedAt: { $lt: new Date(now.getTime() - staleAfterMs) } }
+      ]
+    },
+    { claimedBy: workerId, claimedAt: now },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+// Static method to get per-variant results for an A/B tested campaign
+emailSchema.statics.getVariantStats = function(campaignId, phase = 'test') {
+  return this.aggregate([
+    {
+      $match: {
+        'metadata.campaignId': new mongoose.Types.ObjectId(campaignId),
+        'metadata.abTestPhase': phase
+      }
+    },
+    {
+      $group: {
+        _id: '$metadata.variant',
+        total: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $in: ['$status', ['sent', 'delivered', 'opened', 'clicked']] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $gt: ['$tracking.openCount', 0] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$tracking.clickCount', 0] }, 1, 0] } },
+        humanOpened: { $sum: { $cond: [{ $gt: ['$tracking.humanOpenCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
 // Index for performance
 emailSchema.index({ userId: 1, createdAt: -1 });
 emailSchema.index({ status: 1 });
 emailSchema.index({ scheduledAt: 1 });
+emailSchema.index({ status: 1, scheduledAt: 1 });
 emailSchema.index({ to: 1 });
 emailSchema.index({ 'metadata.campaignId': 1 });
+emailSchema.index({ 'metadata.contactId': 1, createdAt: -1 });
+emailSchema.index({ provider: 1, providerMessageId: 1 });
+// One email per contact per campaign, so a resumed or re-run dispatch can never double send
+emailSchema.index(
+  { 'metadata.campaignId': 1, 'metadata.contactId': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.campaignId': { $type: 'objectId' } } }
+);
 
 export default mongoose.model('Email', emailSchema);
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+const emailEventSchema = new mongoose.Schema({
+  emailId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['delivered', 'open', 'click', 'bounce', 'blocked', 'spam', 'unsub'],
+    required: true
+  },
+  // Where the event came from, e.g. mailjet or our own tracking endpoints
+  source: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  // Who triggered an open or click: a person, or a proxy, link preview or security scanner
+  classification: {
+    type: String,
+    enum: ['human', 'machine-open', 'prefetch', 'scanner', null],
+    default: null
+  },
+  classificationReason: {
+    type: String,
+    default: null
+  },
+  hardBounce: {
+    type: Boolean,
+    default: false
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Providers retry webhooks, so each event carries a key that makes ingestion idempotent
+  dedupeKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+emailEventSchema.index({ emailId: 1, occurredAt: 1 });
+emailEventSchema.index({ campaignId: 1, type: 1, url: 1 });
+emailEventSchema.index({ contactId: 1, occurredAt: -1 });
+emailEventSchema.index({ userId: 1, occurredAt: -1 });
+emailEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+// Events recorded before classification existed count as human
+const HUMAN = { $not: [{ $in: ['$classification', ['machine-open', 'prefetch', 'scanner']] }] };
+
+// Static method to get click totals per destination URL for a campaign
+emailEventSchema.statics.getLinkStats = function(campaignId) {
+  return this.aggregate([
+    {
+      $match: {
+        campaignId: new mongoose.Types.ObjectId(campaignId),
+        type: 'click',
+        url: { $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: '$url',
+        totalClicks: { $sum: 1 },
+        humanClicks: { $sum: { $cond: [HUMAN, 1, 0] } },
+        clickers: { $addToSet: '$emailId' },
+        humanClickers: { $addToSet: { $cond: [HUMAN, '$emailId', null] } },
+        firstClickAt: { $min: '$occurredAt' },
+        lastClickAt: { $max: '$occurredAt' }
+      }
+    },
+    {
+      $project: {
+        totalClicks: 1,
+        humanClicks: 1,
+        uniqueClickers: { $size: '$clickers' },
+        uniqueHumanClickers: { $size: { $setDifference: ['$humanClickers', [null]] } },
+        firstClickAt: 1,
+        lastClickAt: 1
+      }
+    },
+    { $sort: { totalClicks: -1 } }
+  ]);
+};
+
+// Static method to count opens and clicks by classification, e.g. { open: { human: 10, scanner: 2 } }
+emailEventSchema.statics.getClassificationStats = async function(match) {
+  const rows = await this.aggregate([
+    { $match: { ...match, type: { $in: ['open', 'click'] } } },
+    {
+      $group: {
+        _id: { type: '$type', classification: { $ifNull: ['$classification', 'human'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const stats = {
+    open: { human: 0, 'machine-open': 0, prefetch: 0, scanner: 0 },
+    click: { human: 0, 'machine-open': 0, prefetch: 0, scanner: 0 }
+  };
+  for (const row of rows) {
+    stats[row._id.type][row._id.classification] = row.count;
+  }
+  return stats;
+};
+
+export default mongoose.model('EmailEvent', emailEventSchema);
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+const outboundJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The Email or SMS record this job delivers
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  batchId: {
+    type: String,
+    default: null
+  },
+  // Provider the job is expected to go out through, used for concurrency limits
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [{
+    at: Date,
+    message: String
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Record a failed attempt and either schedule a retry or dead-letter the job
+outboundJobSchema.methods.recordFailure = function(error, backoffMs) {
+  this.lastError = error;
+  this.errorHistory.push({ at: new Date(), message: error });
+  this.lockedBy = null;
+  this.lockedAt = null;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+    this.deadAt = new Date();
+  } else {
+    this.status = 'queued';
+    this.runAt = new Date(Date.now() + backoffMs);
+  }
+
+  return this.save();
+};
+
+outboundJobSchema.methods.markCompleted = function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.lockedBy = null;
+  this.lockedAt = null;
+  return this.save();
+};
+
+// Static method to atomically claim the next runnable job for one of the given providers.
+// Jobs locked longer than staleAfterMs are assumed abandoned by a crashed worker.
+outboundJobSchema.statics.claimNext = function(workerId, providers, staleAfterMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      provider: { $in: providers },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - staleAfterMs) } }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedBy: workerId,
+      lockedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Static method to get job counts grouped by status, optionally for one batch
+outboundJobSchema.statics.getStatusCounts = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { queued: 0, processing: 0, completed: 0, dead: 0 };
+  for (const row of rows) {
+    counts[row._id] = row.count;
+  }
+  return counts;
+};
+
+// Indexes
+outboundJobSchema.index({ status: 1, provider: 1, runAt: 1 });
+outboundJobSchema.index({ batchId: 1 });
+outboundJobSchema.index({ type: 1, messageId: 1 });
+outboundJobSchema.index({ createdAt: -1 });
+
+export default mongoose.model('OutboundJob', outboundJobSchema);
@@ -35,6 +35,12 @@ const quotaSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Maximum SMS spend per calendar month (UTC); null means no cap
+    spendCap: {
+      type: Number,
+      min: 0,
+      default: null
+    },
     resetDate: {
       type: Date,
       default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
@@ -119,6 +125,11 @@ quotaSchema.methods.hasQuotaAvailable = function(type, amount = 1) {
   return (quota.used + amount) <= quota.limit;
 };
 
+// Check whether an SMS costing amount fits under the monthly spend cap
+quotaSchema.methods.hasSpendAvailable = function(spent, amount) {
+  return this.sms.spendCap === null || spent + amount <= this.sms.spendCap;
+};
+
 // Consume quota for a specific type
 quotaSchema.methods.consumeQuota = async function(type, amount = 1) {
   if (!this.hasQuotaAvailable(type, amount)) {
@@ -134,6 +145,22 @@ quotaSchema.methods.consumeQuota = async function(type, amount = 1) {
   return this.save();
 };
 
+// Give back quota that was consumed but not used (e.g. a cancelled campaign)
+quotaSchema.methods.refundQuota = function(type, amount = 1) {
+  this[type].used = Math.max(0, this[type].used - amount);
+  this.lastUpdated = new Date();
+  this.status = this.overallStatus;
+  return this.save();
+};
+
+// Record quota that was already spent, even past the limit (e.g. sends that finished after a refund)
+quotaSchema.methods.chargeQuota = function(type, amount = 1) {
+  this[type].used += amount;
+  this.lastUpdated = new Date();
+  this.status = this.overallStatus;
+  return this.save();
+};
+
 // Reset quota for a specific type
 quotaSchema.methods.resetQuota = function(type) {
   this[type].used = 0;
@@ -182,7 +209,8 @@ quotaSchema.methods.getSummary = function() {
       limit: this.sms.limit,
       percentage: this.smsUsagePercentage,
       status: this.getQuotaStatus('sms'),
-      resetDate: this.sms.resetDate
+      resetDate: this.sms.resetDate,
+      spendCap: this.sms.spendCap
     },
     api: {
       used: this.api.used,
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { analyzeMessage } from '../utils/smsEncoding.js';
 
 const smsSchema = new mongoose.Schema({
   userId: {
@@ -18,16 +19,48 @@ const smsSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1600, 'SMS message cannot exceed 1600 characters']
   },
+  // Set from the message on save; quota and cost are charged per segment
+  encoding: {
+    type: String,
+    enum: ['GSM-7', 'UCS-2'],
+    default: 'GSM-7'
+  },
+  segments: {
+    type: Number,
+    default: 1
+  },
   from: {
     type: String,
     required: true,
     default: '+1234567890' // Hardcoded Twilio phone number
   },
+  // Inbound messages are replies received on our number; from is the contact's phone
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'],
+    default: 'outbound'
+  },
   status: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'failed', 'undelivered'],
+    enum: ['pending', 'sent', 'delivered', 'failed', 'undelivered', 'received'],
     default: 'pending'
   },
+  // Opt-out keyword an inbound message was handled as
+  keyword: {
+    type: String,
+    enum: ['stop', 'start', 'help', null],
+    default: null
+  },
+  // Outbound message an inbound reply answers, and when an agent read it
+  inReplyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SMS',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'normal', 'high'],
@@ -37,6 +70,14 @@ const smsSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
   sentAt: {
     type: Date,
     default: null
@@ -61,6 +102,12 @@ const smsSchema = new mongoose.Schema({
     type: String,
     default: 'USD'
   },
+  // Destination country the cost was priced for (ISO 3166-1 alpha-2)
+  country: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
   tracking: {
     messageId: {
       type: String,
@@ -69,6 +116,19 @@ const smsSchema = new mongoose.Schema({
     sid: {
       type: String,
       default: null
+    },
+    // Short-link clicks; humanClickCount leaves out link previews and scanners
+    clickCount: {
+      type: Number,
+      default: 0
+    },
+    humanClickCount: {
+      type: Number,
+      default: 0
+    },
+    lastClicked: {
+      type: Date,
+      default: null
     }
   },
   metadata: {
@@ -77,6 +137,11 @@ const smsSchema = new mongoose.Schema({
       ref: 'Campaign',
       default: null
     },
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
     templateId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Template',
@@ -115,8 +180,17 @@ smsSchema.virtual('messageLength').get(function() {
 
 // Virtual for estimated segments (SMS can be split into multiple segments)
 smsSchema.virtual('estimatedSegments').get(function() {
-  const maxLength = 160; // Standard SMS length
-  return Math.ceil(this.message.length / maxLength);
+  return analyzeMessage(this.message).segments;
+});
+
+// Keep encoding and segment count in step with the message
+smsSchema.pre('save', function(next) {
+  if (this.isModified('message')) {
+    const { encoding, segments } = analyzeMessage(this.message);
+    this.encoding = encoding;
+    this.segments = segments;
+  }
+  next();
 });
 
 // Mark SMS as sent
@@ -157,6 +231,7 @@ smsSchema.methods.getStats = function() {
     deliveryTime: this.deliveryTime,
     messageLength: this.messageLength,
     estimatedSegments: this.estimatedSegments,
+    encoding: this.encoding,
     cost: this.cost,
     currency: this.currency
   };
@@ -164,7 +239,7 @@ smsSchema.methods.getStats = function() {
 
 // Static method to get user's SMS stats
 smsSchema.statics.getUserStats = function(userId, startDate, endDate) {
-  const match = { userId };
+  const match = { userId, direction: { $ne: 'inbound' } };
   if (startDate && endDate) {
     match.createdAt = { $gte: startDate, $lte: endDate };
   }
@@ -179,6 +254,10 @@ smsSchema.statics.getUserStats = function(userId, startDate, endDate) {
         delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
         failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
         undelivered: { $sum: { $cond: [{ $eq: ['$status', 'undelivered'] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$tracking.clickCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } },
+        totalClicks: { $sum: '$tracking.clickCount' },
+        totalSegments: { $sum: '$segments' },
         totalCost: { $sum: '$cost' },
         averageCost: { $avg: '$cost' }
       }
@@ -188,7 +267,7 @@ smsSchema.statics.getUserStats = function(userId, startDate, endDate) {
 
 // Static method to get system-wide SMS stats
 smsSchema.statics.getSystemStats = function(startDate, endDate) {
-  const match = {};
+  const match = { direction: { $ne: 'inbound' } };
   if (startDate && endDate) {
     match.createdAt = { $gte: startDate, $lte: endDate };
   }
@@ -203,6 +282,10 @@ smsSchema.statics.getSystemStats = function(startDate, endDate) {
         delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
         failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
         undelivered: { $sum: { $cond: [{ $eq: ['$status', 'undelivered'] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$tracking.clickCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } },
+        totalClicks: { $sum: '$tracking.clickCount' },
+        totalSegments: { $sum: '$segments' },
         totalCost: { $sum: '$cost' },
         averageCost: { $avg: '$cost' }
       }
@@ -215,7 +298,8 @@ smsSchema.statics.getDailyStats = function(startDate, endDate) {
   return this.aggregate([
     {
       $match: {
-        createdAt: { $gte: startDate, $lte: endDate }
+        createdAt: { $gte: startDate, $lte: endDate },
+        direction: { $ne: 'inbound' }
       }
     },
     {
@@ -236,33 +320,176 @@ smsSchema.statics.getDailyStats = function(startDate, endDate) {
   ]);
 };
 
-// Static method to get cost analysis
-smsSchema.statics.getCostAnalysis = function(startDate, endDate) {
+// Static method to get cost analysis, overall and by destination country
+smsSchema.statics.getCostAnalysis = function(startDate, endDate, userId = null) {
+  const match = { status: { $in: ['sent', 'delivered'] } };
+  if (userId) {
+    match.userId = new mongoose.Types.ObjectId(userId);
+  }
+  if (startDate && endDate) {
+    match.createdAt = { $gte: startDate, $lte: endDate };
+  }
+
   return this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              totalCost: { $sum: '$cost' },
+              averageCost: { $avg: '$cost' },
+              minCost: { $min: '$cost' },
+              maxCost: { $max: '$cost' },
+              totalMessages: { $sum: 1 },
+              totalSegments: { $sum: '$segments' }
+            }
+          }
+        ],
+        byCountry: [
+          {
+            $group: {
+              _id: '$country',
+              totalCost: { $sum: '$cost' },
+              averageCost: { $avg: '$cost' },
+              totalMessages: { $sum: 1 },
+              totalSegments: { $sum: '$segments' }
+            }
+          },
+          { $sort: { totalCost: -1 } },
+          {
+            $project: {
+              _id: 0,
+              country: '$_id',
+              totalCost: 1,
+              averageCost: 1,
+              totalMessages: 1,
+              totalSegments: 1
+            }
+          }
+        ]
+      }
+    },
+    { $unwind: '$overall' },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$overall', { byCountry: '$byCountry' }] } } },
+    { $project: { _id: 0 } }
+  ]);
+};
+
+// Static method to get what a user has been charged for SMS since a date (default:
+// start of the current month, UTC). Pending messages count at their estimated cost.
+smsSchema.statics.getSpendSince = async function(userId, since = null) {
+  const now = new Date();
+  const start = since || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const [result] = await this.aggregate([
     {
       $match: {
-        createdAt: { $gte: startDate, $lte: endDate },
-        status: { $in: ['sent', 'delivered'] }
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: start },
+        status: { $ne: 'failed' }
       }
     },
+    { $group: { _id: null, total: { $sum: '$cost' } } }
+  ]);
+
+  return result ? Math.round(result.total * 10000) / 10000 : 0;
+};
+
+// Static method to get delivery and cost stats for an SMS campaign
+smsSchema.statics.getCampaignStats = function(campaignId) {
+  return this.aggregate([
+    { $match: { 'metadata.campaignId': new mongoose.Types.ObjectId(campaignId) } },
     {
       $group: {
         _id: null,
+        total: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $in: ['$status', ['sent', 'delivered']] }, 1, 0] } },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        undelivered: { $sum: { $cond: [{ $eq: ['$status', 'undelivered'] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$tracking.clickCount', 0] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $gt: ['$tracking.humanClickCount', 0] }, 1, 0] } },
+        totalClicks: { $sum: '$tracking.clickCount' },
+        totalSegments: { $sum: '$segments' },
         totalCost: { $sum: '$cost' },
-        averageCost: { $avg: '$cost' },
-        minCost: { $min: '$cost' },
-        maxCost: { $max: '$cost' },
-        totalMessages: { $sum: 1 }
+        averageCost: { $avg: '$cost' }
       }
     }
   ]);
 };
 
+// Static method to atomically claim the next due SMS message for a worker.
+// Claims older than staleAfterMs are considered abandoned and can be taken over.
+// Records owned by the outbound queue are retried by the queue, never by the scheduler.
+smsSchema.statics.claimDue = function(workerId, staleAfterMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      scheduledAt: { $lte: now },
+      claimedBy: { $ne: 'queue' },
+      $or: [
+        { claimedAt: null },
+        { claimedAt: { $lt: new Date(now.getTime() - staleAfterMs) } }
+      ]
+    },
+    { claimedBy: workerId, claimedAt: now },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+// Static method to get a user's conversations, one per phone number, most recent first
+smsSchema.statics.getConversations = function(userId, { skip = 0, limit = 20, unreadOnly = false } = {}) {
+  const pipeline = [
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $addFields: { phone: { $cond: [{ $eq: ['$direction', 'inbound'] }, '$from', '$to'] } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$phone',
+        lastMessage: { $first: '$message' },
+        lastDirection: { $first: '$direction' },
+        lastMessageAt: { $first: '$createdAt' },
+        contactId: { $max: '$metadata.contactId' },
+        messages: { $sum: 1 },
+        inbound: { $sum: { $cond: [{ $eq: ['$direction', 'inbound'] }, 1, 0] } },
+        unread: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$direction', 'inbound'] }, { $eq: ['$readAt', null] }] }, 1, 0] }
+        }
+      }
+    },
+    // Only numbers that have written back are conversations
+    { $match: unreadOnly ? { unread: { $gt: 0 } } : { inbound: { $gt: 0 } } },
+    { $sort: { lastMessageAt: -1 } },
+    {
+      $facet: {
+        conversations: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
 // Index for performance
 smsSchema.index({ userId: 1, createdAt: -1 });
 smsSchema.index({ status: 1 });
 smsSchema.index({ scheduledAt: 1 });
+smsSchema.index({ status: 1, scheduledAt: 1 });
 smsSchema.index({ to: 1 });
 smsSchema.index({ 'metadata.campaignId': 1 });
+smsSchema.index({ 'metadata.contactId': 1, createdAt: -1 });
+smsSchema.index({ userId: 1, from: 1, createdAt: -1 });
+smsSchema.index({ 'tracking.sid': 1 });
+
+// One SMS per contact per campaign, so a resumed or re-run dispatch can never double send
+smsSchema.index(
+  { 'metadata.campaignId': 1, 'metadata.contactId': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.campaignId': { $type: 'objectId' } } }
+);
 
 export default mongoose.model('SMS', smsSchema);
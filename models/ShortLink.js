@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const shortLinkSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Destination, including any UTM parameters added at send time
+  url: {
+    type: String,
+    required: true
+  },
+  // The link as written in the message
+  originalUrl: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Each recipient gets their own code, so a click identifies who clicked
+  smsId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SMS',
+    default: null
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Clicks left after filtering out link previews and scanners
+  humanClicks: {
+    type: Number,
+    default: 0
+  },
+  // Unset until the first click so $min can record it atomically
+  firstClickedAt: {
+    type: Date
+  },
+  lastClickedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shortLinkSchema.index({ code: 1 }, { unique: true });
+shortLinkSchema.index({ smsId: 1 });
+shortLinkSchema.index({ campaignId: 1, originalUrl: 1 });
+shortLinkSchema.index({ userId: 1, createdAt: -1 });
+shortLinkSchema.index({ contactId: 1, firstClickedAt: -1 });
+
+export default mongoose.model('ShortLink', shortLinkSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Admin-managed SMS price per segment. A rate applies to numbers starting with
+// callingCode + prefix; prefix narrows a rate to a carrier or number range.
+const smsRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Country code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  callingCode: {
+    type: String,
+    required: [true, 'Calling code is required'],
+    trim: true,
+    match: [/^[1-9]\d{0,2}$/, 'Calling code must be 1-3 digits']
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    match: [/^\d{0,8}$/, 'Prefix must be up to 8 digits'],
+    default: ''
+  },
+  carrier: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  perSegment: {
+    type: Number,
+    required: [true, 'Price per segment is required'],
+    min: [0, 'Price per segment cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the rates currently in use
+smsRateSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).lean();
+};
+
+// Indexes
+smsRateSchema.index({ callingCode: 1, prefix: 1 }, { unique: true });
+smsRateSchema.index({ country: 1 });
+
+export default mongoose.model('SmsRate', smsRateSchema);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { phoneVariants } from '../utils/phone.js';
+
+const suppressionSchema = new mongoose.Schema({
+  // null for the system-wide list, which applies to every user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: [true, 'Email address or phone number is required'],
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['hard_bounce', 'complaint', 'unsubscribe', 'sms_stop', 'manual', 'import'],
+    default: 'manual'
+  },
+  source: {
+    type: String,
+    default: 'user'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    emailId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Email',
+      default: null
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Store values in one canonical form: lowercased addresses, and phone numbers with a
+// leading + whether Twilio or the caller sent one
+suppressionSchema.statics.normalizeValue = function(channel, value) {
+  if (!value) {
+    return '';
+  }
+  return channel === 'sms' ? phoneVariants(value)[1] : value.toString().trim().toLowerCase();
+};
+
+// Values an entry may be stored under; numbers saved before they were canonical may lack the +
+suppressionSchema.statics.lookupValues = function(channel, value) {
+  if (!value) {
+    return [];
+  }
+  return channel === 'sms' ? phoneVariants(value) : [this.normalizeValue(channel, value)];
+};
+
+suppressionSchema.pre('validate', function(next) {
+  this.value = this.constructor.normalizeValue(this.channel, this.value);
+  next();
+});
+
+// Static method to add an entry, keeping the original reason if it already exists
+suppressionSchema.statics.suppress = function({ userId = null, channel, value, reason = 'manual', source = 'user', note = '', createdBy = null, metadata = {} }) {
+  const normalized = this.normalizeValue(channel, value);
+
+  return this.findOneAndUpdate(
+    { userId, channel, value: { $in: this.lookupValues(channel, value) } },
+    { $setOnInsert: { userId, channel, value: normalized, reason, source, note, createdBy, metadata } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to find which of the given values are suppressed for a user,
+// either on their own list or on the system-wide list. Returns a Map of value -> reason.
+suppressionSchema.statics.findSuppressed = async function(userId, channel, values) {
+  const lookup = [...new Set(values.flatMap(value => this.lookupValues(channel, value)).filter(Boolean))];
+  if (lookup.length === 0) {
+    return new Map();
+  }
+
+  const entries = await this.find({
+    channel,
+    value: { $in: lookup },
+    userId: { $in: userId ? [userId, null] : [null] }
+  }).select('value reason');
+
+  return new Map(entries.map(entry => [this.normalizeValue(channel, entry.value), entry.reason]));
+};
+
+// Static method to check a single recipient; returns the reason or null
+suppressionSchema.statics.isSuppressed = async function(userId, channel, value) {
+  const suppressed = await this.findSuppressed(userId, channel, [value]);
+  return suppressed.get(this.normalizeValue(channel, value)) || null;
+};
+
+// Indexes
+suppressionSchema.index({ userId: 1, channel: 1, value: 1 }, { unique: true });
+suppressionSchema.index({ channel: 1, value: 1 });
+suppressionSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Suppression', suppressionSchema);
@@ -32,6 +32,49 @@ const userSchema = new mongoose.Schema({
     enum: ['free', 'starter', 'professional'],
     default: 'free'
   },
+  emailProvider: {
+    type: String,
+    enum: ['mailjet', 'resend', 'smtp', 'file', null],
+    default: null // null uses the system default provider
+  },
+  // UTM tagging applied to campaign links unless the campaign overrides it.
+  // Values may use placeholders such as {{campaignSlug}}, {{campaignName}}, {{date}} or {{tag}}.
+  utmDefaults: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    source: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: ''
+    },
+    medium: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: '{{channel}}'
+    },
+    campaign: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: '{{campaignSlug}}'
+    },
+    term: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: ''
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: ''
+    }
+  },
   profilePicture: {
     type: String,
     default: null
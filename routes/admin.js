@@ -1,12 +1,19 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Email from '../models/Email.js';
 import SMS from '../models/SMS.js';
+import OutboundJob from '../models/OutboundJob.js';
+import Suppression from '../models/Suppression.js';
 import ApiKey from '../models/ApiKey.js';
 import Quota from '../models/Quota.js';
+import SmsRate from '../models/SmsRate.js';
 import { protect, requireAdmin } from '../middleware/auth.js';
 import emailService from '../services/emailService.js';
+import smsService from '../services/smsService.js';
+import { providerNames } from '../services/emailProviders/index.js';
+import scheduler from '../services/schedulerService.js';
+import queueService from '../services/queueService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -447,6 +454,59 @@ router.post('/quotas/:userId/reset', protect, requireAdmin, [
   }
 });
 
+// @route   PUT /api/admin/quotas/:userId/sms-spend-cap
+// @desc    Set or clear a user's monthly SMS spend cap
+// @access  Private/Admin
+router.put('/quotas/:userId/sms-spend-cap', protect, requireAdmin, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('spendCap')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Spend cap must be a positive number or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quota = await Quota.findOne({ userId: req.params.userId });
+    if (!quota) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quota not found'
+      });
+    }
+
+    quota.sms.spendCap = req.body.spendCap === undefined || req.body.spendCap === null
+      ? null
+      : parseFloat(req.body.spendCap);
+    quota.lastUpdated = new Date();
+    await quota.save();
+
+    logger.info(`Admin set SMS spend cap for user: ${req.params.userId} to ${quota.sms.spendCap === null ? 'none' : quota.sms.spendCap}`);
+
+    res.json({
+      success: true,
+      message: 'SMS spend cap updated successfully',
+      data: {
+        quota: quota.getSummary(),
+        spentThisMonth: await SMS.getSpendSince(req.params.userId)
+      }
+    });
+  } catch (error) {
+    logger.error('Update SMS spend cap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:userId/plan
 // @desc    Update user's plan
 // @access  Private/Admin
@@ -785,8 +845,21 @@ router.post('/send-email', protect, requireAdmin, [
       name: 'Marketing Farm' // Hardcoded name
     };
 
+    const suppressed = await Suppression.findSuppressed(req.user.id, 'email', to);
+
     // Send emails to each recipient
     for (const emailAddress of to) {
+      const suppressedReason = suppressed.get(Suppression.normalizeValue('email', emailAddress));
+      if (suppressedReason) {
+        results.push({
+          email: emailAddress,
+          success: false,
+          skipped: true,
+          reason: suppressedReason
+        });
+        continue;
+      }
+
       try {
         const emailData = {
           to: emailAddress,
@@ -810,10 +883,9 @@ router.post('/send-email', protect, requireAdmin, [
           content,
           from: fromEmail,
           status: 'sent',
-          tracking: {
-            messageId: result.messageId,
-            provider: result.provider
-          },
+          sentAt: new Date(),
+          provider: result.provider,
+          providerMessageId: result.messageId,
           metadata: {
             sentBy: 'admin',
             adminId: req.user.id
@@ -839,17 +911,19 @@ router.post('/send-email', protect, requireAdmin, [
     }
 
     const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    const skippedCount = results.filter(r => r.skipped).length;
+    const failureCount = results.filter(r => !r.success && !r.skipped).length;
 
     res.json({
       success: true,
-      message: `Email sending completed. ${successCount} sent, ${failureCount} failed.`,
+      message: `Email sending completed. ${successCount} sent, ${failureCount} failed, ${skippedCount} suppressed.`,
       data: {
         results,
         summary: {
           total: to.length,
           successful: successCount,
-          failed: failureCount
+          failed: failureCount,
+          skipped: skippedCount
         }
       }
     });
@@ -863,7 +937,7 @@ router.post('/send-email', protect, requireAdmin, [
 });
 
 // @route   POST /api/admin/send-bulk-email
-// @desc    Send bulk email to all users (admin only)
+// @desc    Queue bulk email to all users (admin only)
 // @access  Private/Admin
 router.post('/send-bulk-email', protect, requireAdmin, [
   body('subject')
@@ -925,97 +999,571 @@ router.post('/send-bulk-email', protect, requireAdmin, [
       name: 'Marketing Farm' // Hardcoded name
     };
 
-    const results = [];
-    const batchSize = 10; // Process in batches to avoid overwhelming the email service
+    const suppressed = await Suppression.findSuppressed(req.user.id, 'email', users.map(user => user.email));
+    const skipped = users
+      .filter(user => suppressed.has(Suppression.normalizeValue('email', user.email)))
+      .map(user => ({ to: user.email, reason: suppressed.get(Suppression.normalizeValue('email', user.email)) }));
+    const recipients = users.filter(user => !suppressed.has(Suppression.normalizeValue('email', user.email)));
 
-    // Process users in batches
-    for (let i = 0; i < users.length; i += batchSize) {
-      const batch = users.slice(i, i + batchSize);
-      
-      const batchPromises = batch.map(async (user) => {
-        try {
-          const emailData = {
-            to: user.email,
-            subject: subject.replace('{{name}}', user.name),
-            content: {
-              html: content.html.replace(/\{\{name\}\}/g, user.name),
-              text: content.text ? content.text.replace(/\{\{name\}\}/g, user.name) : undefined
-            },
-            from: fromEmail,
-            userId: req.user.id,
-            metadata: {
-              sentBy: 'admin',
-              adminId: req.user.id,
-              bulkEmail: true
-            }
-          };
-
-          const result = await emailService.sendEmail(emailData);
-          
-          // Save email record
-          const emailRecord = await Email.create({
-            userId: req.user.id,
-            to: user.email,
-            subject: emailData.subject,
-            content: emailData.content,
-            from: fromEmail,
-            status: 'sent',
-            tracking: {
-              messageId: result.messageId,
-              provider: result.provider
-            },
-            metadata: {
-              sentBy: 'admin',
-              adminId: req.user.id,
-              bulkEmail: true,
-              recipientUserId: user._id
-            }
-          });
-
-          return {
-            email: user.email,
-            success: true,
-            messageId: result.messageId,
-            emailId: emailRecord._id
-          };
-        } catch (error) {
-          logger.error(`Failed to send bulk email to ${user.email}:`, error);
-          return {
-            email: user.email,
-            success: false,
-            error: error.message
-          };
-        }
+    if (recipients.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'All matching users are on a suppression list',
+        data: { skipped }
       });
+    }
 
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
+    const emails = await Email.insertMany(recipients.map(user => ({
+      userId: req.user.id,
+      to: user.email,
+      subject: subject.replace('{{name}}', user.name),
+      content: {
+        html: content.html.replace(/\{\{name\}\}/g, user.name),
+        text: content.text ? content.text.replace(/\{\{name\}\}/g, user.name) : ''
+      },
+      from: fromEmail,
+      claimedBy: 'queue',
+      claimedAt: new Date()
+    })));
 
-      // Add delay between batches
-      if (i + batchSize < users.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // Delivery happens in the outbound queue; poll the batch for progress
+    const { batchId, queued } = await emailService.sendBulkEmails(emails);
+
+    logger.info(`Bulk email queued by admin ${req.user.id}: ${queued} messages in ${batchId}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Bulk email queued for ${queued} recipients`,
+      data: {
+        batchId,
+        queued,
+        skipped
       }
+    });
+  } catch (error) {
+    logger.error('Admin bulk email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/scheduler
+// @desc    Get scheduled-send worker status
+// @access  Private/Admin
+router.get('/scheduler', protect, requireAdmin, async (req, res) => {
+  try {
+    const status = await scheduler.getStatus();
+
+    res.json({
+      success: true,
+      data: { scheduler: status }
+    });
+  } catch (error) {
+    logger.error('Get scheduler status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/scheduler/run
+// @desc    Run the scheduled-send worker immediately
+// @access  Private/Admin
+router.post('/scheduler/run', protect, requireAdmin, async (req, res) => {
+  try {
+    const summary = await scheduler.tick();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scheduler run already in progress or failed',
+        data: { lastError: scheduler.lastError }
+      });
     }
 
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    logger.info(`Scheduler run triggered by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Scheduler run completed',
+      data: { summary }
+    });
+  } catch (error) {
+    logger.error('Run scheduler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/email-providers
+// @desc    Get email provider configuration and failover order
+// @access  Private/Admin
+router.get('/email-providers', protect, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: emailService.getProviderStatus()
+    });
+  } catch (error) {
+    logger.error('Get email providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/email-provider
+// @desc    Set or clear a user's preferred email provider
+// @access  Private/Admin
+router.put('/users/:userId/email-provider', protect, requireAdmin, [
+  body('provider')
+    .optional({ nullable: true })
+    .isIn(providerNames)
+    .withMessage(`Provider must be one of: ${providerNames.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    logger.info(`Bulk email sent by admin ${req.user.id}: ${successCount} successful, ${failureCount} failed`);
+    user.emailProvider = req.body.provider || null;
+    await user.save();
+    emailService.clearUserProvider(user._id);
+
+    logger.info(`Admin set email provider for user: ${user.email} to ${user.emailProvider || 'system default'}`);
 
     res.json({
       success: true,
-      message: `Bulk email sending completed. ${successCount} sent, ${failureCount} failed.`,
+      message: 'Email provider updated successfully',
       data: {
-        results,
-        summary: {
-          total: users.length,
-          successful: successCount,
-          failed: failureCount
+        user: {
+          id: user._id,
+          email: user.email,
+          emailProvider: user.emailProvider
+        },
+        chain: emailService.getProviderChain(user.emailProvider).map(provider => provider.name)
+      }
+    });
+  } catch (error) {
+    logger.error('Update email provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Updates may send any subset of the fields a new rate requires
+const smsRateValidators = (partial = false) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('country')
+      .trim()
+      .isISO31661Alpha2()
+      .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+    field('callingCode')
+      .trim()
+      .matches(/^[1-9]\d{0,2}$/)
+      .withMessage('Calling code must be 1-3 digits'),
+    body('prefix')
+      .optional()
+      .trim()
+      .matches(/^\d{0,8}$/)
+      .withMessage('Prefix must be up to 8 digits'),
+    field('perSegment')
+      .isFloat({ min: 0 })
+      .withMessage('Price per segment must be a positive number'),
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('carrier').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Carrier cannot exceed 100 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const smsRateFields = (body) => {
+  const fields = {};
+  for (const key of ['country', 'name', 'callingCode', 'prefix', 'carrier', 'isActive']) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  if (body.perSegment !== undefined) {
+    fields.perSegment = parseFloat(body.perSegment);
+  }
+  return fields;
+};
+
+// @route   GET /api/admin/sms-rates
+// @desc    Get the SMS pricing table and the bundled default rates
+// @access  Private/Admin
+router.get('/sms-rates', protect, requireAdmin, [
+  query('country').optional().isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.country ? { country: req.query.country.toUpperCase() } : {};
+    const rates = await SmsRate.find(filter).sort({ callingCode: 1, prefix: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        defaults: smsService.defaultRates,
+        defaultRate: smsService.defaultRate,
+        currency: smsService.currency
+      }
+    });
+  } catch (error) {
+    logger.error('Get SMS rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/sms-rates
+// @desc    Add a rate for a calling code, optionally narrowed to a carrier prefix
+// @access  Private/Admin
+router.post('/sms-rates', protect, requireAdmin, smsRateValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await SmsRate.create({ ...smsRateFields(req.body), updatedBy: req.user.id });
+    smsService.invalidateRates();
+
+    logger.info(`Admin ${req.user.id} added SMS rate +${rate.callingCode}${rate.prefix} at ${rate.perSegment}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'SMS rate created successfully',
+      data: { rate }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A rate for this calling code and prefix already exists'
+      });
+    }
+    logger.error('Create SMS rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/sms-rates/:id
+// @desc    Update an SMS rate
+// @access  Private/Admin
+router.put('/sms-rates/:id', protect, requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid rate ID'),
+  ...smsRateValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await SmsRate.findByIdAndUpdate(
+      req.params.id,
+      { ...smsRateFields(req.body), updatedBy: req.user.id },
+      { new: true, runValidators: true }
+    );
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'SMS rate not found'
+      });
+    }
+
+    smsService.invalidateRates();
+    logger.info(`Admin ${req.user.id} updated SMS rate +${rate.callingCode}${rate.prefix}`);
+
+    res.json({
+      success: true,
+      message: 'SMS rate updated successfully',
+      data: { rate }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A rate for this calling code and prefix already exists'
+      });
+    }
+    logger.error('Update SMS rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/sms-rates/:id
+// @desc    Remove an SMS rate; the calling code falls back to the default rate
+// @access  Private/Admin
+router.delete('/sms-rates/:id', protect, requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid rate ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await SmsRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'SMS rate not found'
+      });
+    }
+
+    smsService.invalidateRates();
+    logger.info(`Admin ${req.user.id} deleted SMS rate +${rate.callingCode}${rate.prefix}`);
+
+    res.json({
+      success: true,
+      message: 'SMS rate deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete SMS rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/queue
+// @desc    Get outbound queue status by job state and provider
+// @access  Private/Admin
+router.get('/queue', protect, requireAdmin, async (req, res) => {
+  try {
+    const status = await queueService.getStatus();
+
+    res.json({
+      success: true,
+      data: { queue: status }
+    });
+  } catch (error) {
+    logger.error('Get queue status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/queue/jobs
+// @desc    List outbound jobs
+// @access  Private/Admin
+router.get('/queue/jobs', protect, requireAdmin, [
+  query('status').optional().isIn(['queued', 'processing', 'completed', 'dead']),
+  query('type').optional().isIn(['email', 'sms']),
+  query('provider').optional().trim(),
+  query('batchId').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, type, provider, batchId, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (provider) filter.provider = provider;
+    if (batchId) filter.batchId = batchId;
+
+    const jobs = await OutboundJob.find(filter)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await OutboundJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
         }
       }
     });
   } catch (error) {
-    logger.error('Admin bulk email error:', error);
+    logger.error('Get queue jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/queue/batches/:batchId
+// @desc    Get progress of a queued bulk send
+// @access  Private/Admin
+router.get('/queue/batches/:batchId', protect, requireAdmin, [
+  param('batchId').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const batch = await queueService.getBatch(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch }
+    });
+  } catch (error) {
+    logger.error('Get queue batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/queue/retry
+// @desc    Requeue dead-lettered jobs (by id, batch or type; all when no filter is given)
+// @access  Private/Admin
+router.post('/queue/retry', protect, requireAdmin, [
+  body('jobIds').optional().isArray({ min: 1 }).withMessage('Job IDs must be a non-empty array'),
+  body('jobIds.*').optional().isMongoId().withMessage('Each job ID must be valid'),
+  body('batchId').optional().trim().notEmpty(),
+  body('type').optional().isIn(['email', 'sms'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { jobIds, batchId, type } = req.body;
+    const filter = {};
+    if (jobIds) filter._id = { $in: jobIds };
+    if (batchId) filter.batchId = batchId;
+    if (type) filter.type = type;
+
+    const retried = await queueService.retry(filter);
+
+    logger.info(`Admin ${req.user.id} requeued ${retried} dead jobs`);
+
+    res.json({
+      success: true,
+      message: `${retried} jobs requeued`,
+      data: { retried }
+    });
+  } catch (error) {
+    logger.error('Retry queue jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/queue/jobs
+// @desc    Purge dead or completed jobs
+// @access  Private/Admin
+router.delete('/queue/jobs', protect, requireAdmin, [
+  query('status').optional().isIn(['completed', 'dead']).withMessage('Only completed or dead jobs can be purged'),
+  query('olderThanDays').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'dead', olderThanDays } = req.query;
+    const filter = { status };
+    if (olderThanDays !== undefined) {
+      filter.updatedAt = { $lt: new Date(Date.now() - parseInt(olderThanDays) * 24 * 60 * 60 * 1000) };
+    }
+
+    const purged = await queueService.purge(filter);
+
+    logger.info(`Admin ${req.user.id} purged ${purged} ${status} jobs`);
+
+    res.json({
+      success: true,
+      message: `${purged} jobs purged`,
+      data: { purged }
+    });
+  } catch (error) {
+    logger.error('Purge queue jobs error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
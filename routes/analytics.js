@@ -5,6 +5,7 @@ import Email from '../models/Email.js';
 import SMS from '../models/SMS.js';
 import ApiKey from '../models/ApiKey.js';
 import Quota from '../models/Quota.js';
+import EmailEvent from '../models/EmailEvent.js';
 import { protect, requireAdmin } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
@@ -79,6 +80,8 @@ router.get('/', protect, [
     const deliveryRate = emailData.sent > 0 ? (emailData.delivered / emailData.sent) * 100 : 0;
     const openRate = emailData.delivered > 0 ? (emailData.opened / emailData.delivered) * 100 : 0;
     const clickRate = emailData.delivered > 0 ? (emailData.clicked / emailData.delivered) * 100 : 0;
+    const humanOpenRate = emailData.delivered > 0 ? (emailData.humanOpened / emailData.delivered) * 100 : 0;
+    const humanClickRate = emailData.delivered > 0 ? (emailData.humanClicked / emailData.delivered) * 100 : 0;
 
     res.json({
       success: true,
@@ -100,7 +103,12 @@ router.get('/', protect, [
           smsSent: smsData.sent || 0,
           openRate: Math.round(openRate * 100) / 100,
           clickRate: Math.round(clickRate * 100) / 100,
-          deliveryRate: Math.round(deliveryRate * 100) / 100
+          deliveryRate: Math.round(deliveryRate * 100) / 100,
+          // Same rates with proxies, link previews and security scanners filtered out
+          filtered: {
+            openRate: Math.round(humanOpenRate * 100) / 100,
+            clickRate: Math.round(humanClickRate * 100) / 100
+          }
         },
         emails: {
           total: emailData.total || 0,
@@ -109,7 +117,11 @@ router.get('/', protect, [
           opened: emailData.opened || 0,
           clicked: emailData.clicked || 0,
           bounced: emailData.bounced || 0,
-          failed: emailData.failed || 0
+          failed: emailData.failed || 0,
+          filtered: {
+            opened: emailData.humanOpened || 0,
+            clicked: emailData.humanClicked || 0
+          }
         },
         sms: {
           total: smsData.total || 0,
@@ -251,6 +263,14 @@ router.get('/emails', protect, [
     const openRate = stats.delivered > 0 ? (stats.opened / stats.delivered) * 100 : 0;
     const clickRate = stats.delivered > 0 ? (stats.clicked / stats.delivered) * 100 : 0;
     const bounceRate = stats.sent > 0 ? (stats.bounced / stats.sent) * 100 : 0;
+    const humanOpenRate = stats.delivered > 0 ? (stats.humanOpened / stats.delivered) * 100 : 0;
+    const humanClickRate = stats.delivered > 0 ? (stats.humanClicked / stats.delivered) * 100 : 0;
+
+    // Raw opens and clicks split by who made them
+    const classifications = await EmailEvent.getClassificationStats({
+      userId: req.user._id,
+      occurredAt: { $gte: startDate, $lte: endDate }
+    });
 
     res.json({
       success: true,
@@ -268,6 +288,15 @@ router.get('/emails', protect, [
           clickRate: Math.round(clickRate * 100) / 100,
           bounceRate: Math.round(bounceRate * 100) / 100
         },
+        filtered: {
+          opened: stats.humanOpened || 0,
+          clicked: stats.humanClicked || 0,
+          totalOpens: stats.totalHumanOpens || 0,
+          totalClicks: stats.totalHumanClicks || 0,
+          openRate: Math.round(humanOpenRate * 100) / 100,
+          clickRate: Math.round(humanClickRate * 100) / 100
+        },
+        classifications,
         daily: dailyStats,
         period: {
           startDate,
@@ -311,12 +340,15 @@ router.get('/sms', protect, [
     // Get SMS stats
     const smsStats = await SMS.getUserStats(req.user.id, startDate, endDate);
     const dailyStats = await SMS.getDailyStats(startDate, endDate);
-    const costAnalysis = await SMS.getCostAnalysis(startDate, endDate);
+    const costAnalysis = await SMS.getCostAnalysis(startDate, endDate, req.user.id);
 
     // Calculate rates
     const stats = smsStats[0] || {};
     const deliveryRate = stats.sent > 0 ? (stats.delivered / stats.sent) * 100 : 0;
     const failureRate = stats.sent > 0 ? (stats.failed / stats.sent) * 100 : 0;
+    // Click-through counts recipients who followed at least one short link
+    const clickThroughRate = stats.sent > 0 ? (stats.clicked / stats.sent) * 100 : 0;
+    const humanClickThroughRate = stats.sent > 0 ? (stats.humanClicked / stats.sent) * 100 : 0;
 
     res.json({
       success: true,
@@ -329,6 +361,13 @@ router.get('/sms', protect, [
           undelivered: stats.undelivered || 0,
           deliveryRate: Math.round(deliveryRate * 100) / 100,
           failureRate: Math.round(failureRate * 100) / 100,
+          clicked: stats.clicked || 0,
+          totalClicks: stats.totalClicks || 0,
+          clickThroughRate: Math.round(clickThroughRate * 100) / 100,
+          filtered: {
+            clicked: stats.humanClicked || 0,
+            clickThroughRate: Math.round(humanClickThroughRate * 100) / 100
+          },
           totalCost: stats.totalCost || 0,
           averageCost: stats.averageCost || 0
         },
@@ -338,7 +377,9 @@ router.get('/sms', protect, [
           averageCost: 0,
           minCost: 0,
           maxCost: 0,
-          totalMessages: 0
+          totalMessages: 0,
+          totalSegments: 0,
+          byCountry: []
         },
         period: {
           startDate,
@@ -540,7 +581,7 @@ router.get('/export', protect, [
       case 'sms':
         const smsStats = await SMS.getUserStats(req.user.id, start, end);
         const smsDaily = await SMS.getDailyStats(start, end);
-        const smsCost = await SMS.getCostAnalysis(start, end);
+        const smsCost = await SMS.getCostAnalysis(start, end, req.user.id);
         data = {
           overview: smsStats[0] || {},
           daily: smsDaily,
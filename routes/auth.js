@@ -265,7 +265,8 @@ router.get('/me', protect, async (req, res) => {
           profilePicture: user.profilePicture,
           isEmailVerified: user.isEmailVerified,
           lastLogin: user.lastLogin,
-          preferences: user.preferences
+          preferences: user.preferences,
+          utmDefaults: user.utmDefaults
         },
         stats
       }
@@ -315,7 +316,21 @@ router.put('/me', protect, [
   body('preferences.language')
     .optional()
     .isIn(['en', 'es', 'fr', 'de'])
-    .withMessage('Language must be one of: en, es, fr, de')
+    .withMessage('Language must be one of: en, es, fr, de'),
+  body('utmDefaults')
+    .optional()
+    .isObject()
+    .withMessage('UTM defaults must be an object'),
+  body('utmDefaults.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('UTM enabled must be a boolean'),
+  body(['utmDefaults.source', 'utmDefaults.medium', 'utmDefaults.campaign', 'utmDefaults.term', 'utmDefaults.content'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('UTM values cannot exceed 100 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -328,7 +343,7 @@ router.put('/me', protect, [
       });
     }
 
-    const { name, email, company, location, country, preferences } = req.body;
+    const { name, email, company, location, country, preferences, utmDefaults } = req.body;
     const updateData = {};
 
     // Check if email is being changed and if it's already in use
@@ -351,6 +366,13 @@ router.put('/me', protect, [
     if (preferences) {
       updateData.preferences = { ...req.user.preferences, ...preferences };
     }
+    if (utmDefaults) {
+      for (const key of ['enabled', 'source', 'medium', 'campaign', 'term', 'content']) {
+        if (utmDefaults[key] !== undefined) {
+          updateData[`utmDefaults.${key}`] = utmDefaults[key];
+        }
+      }
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -375,7 +397,8 @@ router.put('/me', protect, [
           plan: user.plan,
           profilePicture: user.profilePicture,
           isEmailVerified: user.isEmailVerified,
-          preferences: user.preferences
+          preferences: user.preferences,
+          utmDefaults: user.utmDefaults
         }
       }
     });
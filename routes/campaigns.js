@@ -5,22 +5,63 @@ import Campaign from '../models/Campaign.js';
 import EmailTemplate from '../models/EmailTemplate.js';
 import ContactGroup from '../models/ContactGroup.js';
 import Contact from '../models/Contact.js';
+import SMS from '../models/SMS.js';
+import EmailEvent from '../models/EmailEvent.js';
+import campaignService from '../services/campaignService.js';
+import segmentService from '../services/segmentService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Normalize A/B test settings from the request body
+const buildAbTest = (abTest) => {
+  if (!abTest || !Array.isArray(abTest.variants) || abTest.variants.length === 0) {
+    return { enabled: false };
+  }
+
+  return {
+    enabled: true,
+    variants: abTest.variants.map((variant, index) => ({
+      name: variant.name || String.fromCharCode(65 + index), // A, B, C, D
+      subject: variant.subject,
+      content: {
+        html: variant.content.html,
+        text: variant.content.text || ''
+      }
+    })),
+    testPercentage: abTest.testPercentage,
+    winnerCriteria: abTest.winnerCriteria,
+    waitHours: abTest.waitHours
+  };
+};
+
 // @route   POST /api/campaigns
-// @desc    Create a new email campaign
+// @desc    Create a new email or SMS campaign
 // @access  Private
 router.post('/', protect, [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Campaign name is required (1-100 characters)'),
-  body('subject').trim().isLength({ min: 1, max: 200 }).withMessage('Subject is required (1-200 characters)'),
-  body('content.html').isLength({ min: 1 }).withMessage('HTML content is required'),
-  body('content.text').isLength({ min: 1 }).withMessage('Text content is required'),
+  body('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('subject').if(body('channel').not().equals('sms')).trim().isLength({ min: 1, max: 200 }).withMessage('Subject is required (1-200 characters)'),
+  body('content.html').if(body('channel').not().equals('sms')).isLength({ min: 1 }).withMessage('HTML content is required'),
+  body('content.text').if(body('channel').not().equals('sms')).isLength({ min: 1 }).withMessage('Text content is required'),
+  body('message').if(body('channel').equals('sms')).trim().isLength({ min: 1, max: 1600 }).withMessage('SMS message is required (1-1600 characters)'),
+  body('topic').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Topic cannot exceed 50 characters'),
+  body('shortenLinks').optional().isBoolean().withMessage('Shorten links must be a boolean'),
+  body('utm').optional().isObject().withMessage('UTM settings must be an object'),
+  body('utm.enabled').optional({ nullable: true }).isBoolean().withMessage('UTM enabled must be a boolean'),
+  body(['utm.source', 'utm.medium', 'utm.campaign', 'utm.term', 'utm.content']).optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('UTM values cannot exceed 100 characters'),
   body('templateId').optional().isMongoId().withMessage('Template ID must be valid'),
   body('contactGroupIds').optional().isArray().withMessage('Contact group IDs must be an array'),
   body('contactIds').optional().isArray().withMessage('Contact IDs must be an array'),
-  body('scheduledAt').optional().isISO8601().withMessage('Scheduled date must be valid ISO 8601')
+  body('scheduledAt').optional().isISO8601().withMessage('Scheduled date must be valid ISO 8601'),
+  body('abTest').optional().isObject().withMessage('A/B test settings must be an object'),
+  body('abTest.variants').optional().isArray({ min: 2, max: 4 }).withMessage('A/B tests require between 2 and 4 variants'),
+  body('abTest.variants.*.name').optional().trim().isLength({ min: 1, max: 50 }),
+  body('abTest.variants.*.subject').trim().isLength({ min: 1, max: 200 }).withMessage('Each variant needs a subject (1-200 characters)'),
+  body('abTest.variants.*.content.html').isLength({ min: 1 }).withMessage('Each variant needs HTML content'),
+  body('abTest.testPercentage').optional().isInt({ min: 5, max: 50 }).withMessage('Test percentage must be between 5 and 50'),
+  body('abTest.winnerCriteria').optional().isIn(['open_rate', 'click_rate']).withMessage('Winner criteria must be open_rate or click_rate'),
+  body('abTest.waitHours').optional().isFloat({ min: 1, max: 168 }).withMessage('Wait time must be between 1 and 168 hours')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -34,16 +75,31 @@ router.post('/', protect, [
 
     const { 
       name, 
+      channel = 'email',
       subject, 
       content, 
+      message,
+      topic,
+      utm,
+      shortenLinks,
       templateId, 
       contactGroupIds = [], 
       contactIds = [],
-      scheduledAt 
+      scheduledAt,
+      abTest
     } = req.body;
 
-    // Get recipients from contact groups and direct contacts
+    if (channel === 'sms' && abTest) {
+      return res.status(400).json({
+        success: false,
+        message: 'A/B testing is only available for email campaigns'
+      });
+    }
+
+    // Get recipients from contact groups and direct contacts. Dynamic segment members are
+    // only counted here; they are resolved again when the campaign is sent.
     let recipients = [];
+    const segmentMembers = [];
     
     if (contactGroupIds.length > 0) {
       const groups = await ContactGroup.find({ 
@@ -52,7 +108,11 @@ router.post('/', protect, [
       }).populate('contacts');
       
       for (const group of groups) {
-        recipients.push(...group.contacts.map(contact => contact._id));
+        if (group.isDynamic) {
+          segmentMembers.push(...await segmentService.resolveIds(group));
+        } else {
+          recipients.push(...group.contacts.map(contact => contact._id));
+        }
       }
     }
     
@@ -67,8 +127,9 @@ router.post('/', protect, [
 
     // Remove duplicates
     recipients = [...new Set(recipients.map(id => id.toString()))];
+    const totalRecipients = new Set([...recipients, ...segmentMembers.map(id => id.toString())]).size;
 
-    if (recipients.length === 0) {
+    if (totalRecipients === 0) {
       return res.status(400).json({
         success: false,
         message: 'No valid recipients found'
@@ -78,20 +139,33 @@ router.post('/', protect, [
     // Create campaign
     const campaign = new Campaign({
       name,
-      subject,
-      content,
+      channel,
+      subject: channel === 'sms' ? undefined : subject,
+      content: channel === 'sms' ? undefined : content,
+      message: channel === 'sms' ? message : undefined,
+      topic: topic || null,
+      utm,
+      shortenLinks,
       template: templateId,
       recipients,
       contactGroups: contactGroupIds,
       userId: req.user.id,
+      status: scheduledAt && new Date(scheduledAt) > new Date() ? 'scheduled' : 'draft',
+      abTest: buildAbTest(abTest),
       scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
       stats: {
-        totalRecipients: recipients.length
+        totalRecipients
       }
     });
 
     await campaign.save();
 
+    // Let the caller know up front who will be left out at send time
+    const { skipped } = await campaignService.partitionSuppressed(
+      campaign,
+      await campaignService.resolveRecipients(campaign)
+    );
+
     // Update template usage if template is used
     if (templateId) {
       await EmailTemplate.findByIdAndUpdate(templateId, {
@@ -109,12 +183,14 @@ router.post('/', protect, [
         campaign: {
           id: campaign._id,
           name: campaign.name,
+          channel: campaign.channel,
           subject: campaign.subject,
           status: campaign.status,
           totalRecipients: campaign.stats.totalRecipients,
           scheduledAt: campaign.scheduledAt,
           createdAt: campaign.createdAt
-        }
+        },
+        skipped
       }
     });
 
@@ -132,6 +208,7 @@ router.post('/', protect, [
 // @access  Private
 router.get('/', protect, [
   query('status').optional().isIn(['draft', 'scheduled', 'sending', 'sent', 'paused', 'cancelled']),
+  query('channel').optional().isIn(['email', 'sms']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
 ], async (req, res) => {
@@ -145,13 +222,16 @@ router.get('/', protect, [
       });
     }
 
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status, channel, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
     const query = { userId: req.user.id };
     if (status) {
       query.status = status;
     }
+    if (channel) {
+      query.channel = channel;
+    }
 
     const campaigns = await Campaign.find(query)
       .populate('template', 'name category')
@@ -228,6 +308,10 @@ router.get('/:id', protect, [
   }
 });
 
+// Fields PUT may change, and only before the campaign is launched
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const EDITABLE_FIELDS = ['name', 'subject', 'content', 'message', 'topic', 'shortenLinks', 'utm', 'scheduledAt', 'abTest'];
+
 // @route   PUT /api/campaigns/:id
 // @desc    Update campaign
 // @access  Private
@@ -237,6 +321,12 @@ router.put('/:id', protect, [
   body('subject').optional().trim().isLength({ min: 1, max: 200 }),
   body('content.html').optional().isLength({ min: 1 }),
   body('content.text').optional().isLength({ min: 1 }),
+  body('message').optional().trim().isLength({ min: 1, max: 1600 }),
+  body('topic').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('shortenLinks').optional().isBoolean().withMessage('Shorten links must be a boolean'),
+  body('utm').optional().isObject().withMessage('UTM settings must be an object'),
+  body('utm.enabled').optional({ nullable: true }).isBoolean().withMessage('UTM enabled must be a boolean'),
+  body(['utm.source', 'utm.medium', 'utm.campaign', 'utm.term', 'utm.content']).optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('UTM values cannot exceed 100 characters'),
   body('scheduledAt').optional().isISO8601()
 ], async (req, res) => {
   try {
@@ -261,25 +351,58 @@ router.put('/:id', protect, [
       });
     }
 
-    if (campaign.status === 'sent') {
+    // Once launched, a campaign only changes through pause, resume and cancel
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update sent campaign'
+        message: `Cannot update a ${campaign.status} campaign`
       });
     }
 
-    const updates = req.body;
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.abTest !== undefined) {
+      if (campaign.channel === 'sms') {
+        return res.status(400).json({
+          success: false,
+          message: 'A/B testing is only available for email campaigns'
+        });
+      }
+      updates.abTest = buildAbTest(updates.abTest);
+    }
+
     if (updates.scheduledAt) {
       updates.scheduledAt = new Date(updates.scheduledAt);
+
+      // Setting a send time on a draft hands it to the scheduler
+      if (campaign.status === 'draft' && updates.scheduledAt > new Date()) {
+        updates.status = 'scheduled';
+      }
     }
 
-    Object.assign(campaign, updates);
-    await campaign.save();
+    // Conditional on the status so a launch that happened meanwhile isn't overwritten
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: EDITABLE_STATUSES } },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign cannot be updated in current status'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Campaign updated successfully',
-      data: { campaign }
+      data: { campaign: updated }
     });
 
   } catch (error) {
@@ -340,10 +463,19 @@ router.post('/:id/send', protect, [
   param('id').isMongoId().withMessage('Invalid campaign ID')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const campaign = await Campaign.findOne({ 
       _id: req.params.id, 
       userId: req.user.id 
-    }).populate('recipients');
+    });
 
     if (!campaign) {
       return res.status(404).json({
@@ -359,24 +491,32 @@ router.post('/:id/send', protect, [
       });
     }
 
-    // Update campaign status
-    campaign.status = 'sending';
-    await campaign.save();
+    let launched;
+    let skipped;
+    try {
+      ({ campaign: launched, skipped } = await campaignService.launch(campaign));
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
 
-    // TODO: Implement actual email sending logic here
-    // For now, we'll simulate sending
-    logger.info(`Campaign ${campaign.name} marked for sending`);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     res.json({
       success: true,
       message: 'Campaign is being sent',
       data: {
         campaign: {
-          id: campaign._id,
-          name: campaign.name,
-          status: campaign.status,
-          totalRecipients: campaign.stats.totalRecipients
-        }
+          id: launched._id,
+          name: launched.name,
+          status: launched.status,
+          totalRecipients: launched.stats.totalRecipients
+        },
+        skipped
       }
     });
 
@@ -389,6 +529,208 @@ router.post('/:id/send', protect, [
   }
 });
 
+// @route   POST /api/campaigns/:id/pause
+// @desc    Pause a sending campaign
+// @access  Private
+router.post('/:id/pause', protect, [
+  param('id').isMongoId().withMessage('Invalid campaign ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await campaignService.pause(campaign);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Campaign paused: ${campaign.name} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Campaign paused',
+      data: {
+        campaign: {
+          id: result._id,
+          name: result.name,
+          status: result.status,
+          totalRecipients: result.stats.totalRecipients,
+          processedRecipients: result.processedRecipients
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Pause campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/resume
+// @desc    Resume a paused campaign
+// @access  Private
+router.post('/:id/resume', protect, [
+  param('id').isMongoId().withMessage('Invalid campaign ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await campaignService.resume(campaign);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Campaign resumed: ${campaign.name} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Campaign resumed',
+      data: {
+        campaign: {
+          id: result._id,
+          name: result.name,
+          status: result.status,
+          totalRecipients: result.stats.totalRecipients,
+          processedRecipients: result.processedRecipients
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Resume campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Cancel a campaign and refund unused quota
+// @access  Private
+router.post('/:id/cancel', protect, [
+  param('id').isMongoId().withMessage('Invalid campaign ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await campaignService.cancel(campaign);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Campaign cancelled: ${campaign.name} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Campaign cancelled',
+      data: {
+        campaign: {
+          id: result.campaign._id,
+          name: result.campaign.name,
+          status: result.campaign.status,
+          totalRecipients: result.campaign.stats.totalRecipients,
+          processedRecipients: result.campaign.processedRecipients,
+          quotaRefunded: result.refunded
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Cancel campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/campaigns/:id/stats
 // @desc    Get campaign statistics
 // @access  Private
@@ -408,13 +750,44 @@ router.get('/:id/stats', protect, [
       });
     }
 
+    const [smsStats] = campaign.channel === 'sms'
+      ? await SMS.getCampaignStats(campaign._id)
+      : [];
+
     res.json({
       success: true,
       data: {
+        channel: campaign.channel,
+        status: campaign.status,
         stats: campaign.stats,
         openRate: campaign.openRate,
         clickRate: campaign.clickRate,
-        deliveryRate: campaign.deliveryRate
+        deliveryRate: campaign.deliveryRate,
+        filtered: campaign.channel === 'sms' ? undefined : {
+          opened: campaign.stats.humanOpened,
+          clicked: campaign.stats.humanClicked,
+          openRate: campaign.humanOpenRate,
+          clickRate: campaign.humanClickRate
+        },
+        classifications: campaign.channel === 'sms'
+          ? undefined
+          : await EmailEvent.getClassificationStats({ campaignId: campaign._id }),
+        progress: {
+          processed: campaign.processedRecipients,
+          remaining: Math.max(0, campaign.stats.totalRecipients - campaign.processedRecipients)
+        },
+        delivery: campaign.delivery,
+        sms: campaign.channel === 'sms' ? (smsStats || null) : undefined,
+        abTest: campaign.abTest.enabled ? {
+          phase: campaign.abTest.phase,
+          winnerCriteria: campaign.abTest.winnerCriteria,
+          testPercentage: campaign.abTest.testPercentage,
+          testRecipients: campaign.abTest.testRecipients.length,
+          decideAt: campaign.abTest.decideAt,
+          winnerVariant: campaign.abTest.winnerVariant,
+          winnerSelectedAt: campaign.abTest.winnerSelectedAt,
+          variants: await campaignService.getVariantResults(campaign)
+        } : null
       }
     });
 
@@ -427,4 +800,55 @@ router.get('/:id/stats', protect, [
   }
 });
 
+// @route   GET /api/campaigns/:id/links
+// @desc    Per-link click analytics with an annotated copy of the campaign HTML
+// @access  Private
+router.get('/:id/links', protect, [
+  param('id').isMongoId().withMessage('Invalid campaign ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.channel === 'sms') {
+      return res.status(400).json({
+        success: false,
+        message: 'Link analytics are only available for email campaigns'
+      });
+    }
+
+    const report = await campaignService.getLinkReport(campaign);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get campaign links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router;
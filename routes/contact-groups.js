@@ -3,10 +3,15 @@ import { body, param, query, validationResult } from 'express-validator';
 import { protect } from '../middleware/auth.js';
 import ContactGroup from '../models/ContactGroup.js';
 import Contact from '../models/Contact.js';
+import ContactActivity from '../models/ContactActivity.js';
+import segmentService from '../services/segmentService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Reject rules that segmentService can't resolve with the reason as a 400
+const validateRules = body('rules').optional({ values: 'null' }).custom((rules, { req }) => segmentService.validate(rules, req.user.id));
+
 // @route   POST /api/contact-groups
 // @desc    Create contact group
 // @access  Private
@@ -14,7 +19,8 @@ router.post('/', protect, [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Group name is required (1-100 characters)'),
   body('description').optional().trim().isLength({ max: 500 }),
   body('contactIds').optional().isArray(),
-  body('filters').optional().isObject()
+  body('filters').optional().isObject(),
+  validateRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,7 +32,7 @@ router.post('/', protect, [
       });
     }
 
-    const { name, description, contactIds = [], filters = {} } = req.body;
+    const { name, description, contactIds = [], filters = {}, rules = null } = req.body;
 
     // Check if group name already exists for user
     const existingGroup = await ContactGroup.findOne({ name, userId: req.user.id });
@@ -37,9 +43,10 @@ router.post('/', protect, [
       });
     }
 
-    // Validate contact IDs if provided
+    // Validate contact IDs if provided. A group with rules is a dynamic segment and
+    // has no stored member list.
     let validContacts = [];
-    if (contactIds.length > 0) {
+    if (contactIds.length > 0 && !rules) {
       const contacts = await Contact.find({
         _id: { $in: contactIds },
         userId: req.user.id,
@@ -53,11 +60,18 @@ router.post('/', protect, [
       description,
       contacts: validContacts,
       filters,
+      rules,
+      isDynamic: Boolean(rules),
       userId: req.user.id,
       contactCount: validContacts.length
     });
 
+    if (group.isDynamic) {
+      group.contactCount = await segmentService.countMembers(group);
+    }
+
     await group.save();
+    await ContactActivity.recordGroupChanges(req.user.id, group, [], group.contacts);
 
     logger.info(`Contact group created: ${name} by user: ${req.user.email}`);
 
@@ -125,6 +139,39 @@ router.get('/', protect, [
   }
 });
 
+// @route   POST /api/contact-groups/preview
+// @desc    Count and sample the contacts a set of segment rules matches
+// @access  Private
+router.post('/preview', protect, [
+  body('rules').exists().withMessage('Rules are required').bail().custom((rules, { req }) => segmentService.validate(rules, req.user.id)),
+  body('limit').optional().isInt({ min: 0, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preview = await segmentService.preview(req.user.id, req.body.rules, parseInt(req.body.limit ?? 10));
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    logger.error('Preview segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/contact-groups/:id
 // @desc    Get contact group details
 // @access  Private
@@ -144,6 +191,12 @@ router.get('/:id', protect, [
       });
     }
 
+    // Membership of a dynamic segment changes as contacts do
+    if (group.isDynamic) {
+      group.contactCount = await segmentService.countMembers(group);
+      await group.save();
+    }
+
     res.json({
       success: true,
       data: { group }
@@ -166,7 +219,8 @@ router.put('/:id', protect, [
   body('name').optional().trim().isLength({ min: 1, max: 100 }),
   body('description').optional().trim().isLength({ max: 500 }),
   body('contactIds').optional().isArray(),
-  body('filters').optional().isObject()
+  body('filters').optional().isObject(),
+  validateRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,7 +244,8 @@ router.put('/:id', protect, [
       });
     }
 
-    const { name, description, contactIds, filters } = req.body;
+    const { name, description, contactIds, filters, rules } = req.body;
+    const previousContacts = [...group.contacts];
 
     // Check name uniqueness if name is being updated
     if (name && name !== group.name) {
@@ -207,8 +262,17 @@ router.put('/:id', protect, [
       }
     }
 
+    // Setting rules turns the group into a dynamic segment; clearing them (null) turns it
+    // back into an empty static group
+    if (rules !== undefined) {
+      group.rules = rules;
+      group.isDynamic = Boolean(rules);
+      group.contacts = [];
+      group.contactCount = group.isDynamic ? await segmentService.countMembers(group) : 0;
+    }
+
     // Update contacts if provided
-    if (contactIds !== undefined) {
+    if (contactIds !== undefined && !group.isDynamic) {
       const validContacts = await Contact.find({
         _id: { $in: contactIds },
         userId: req.user.id,
@@ -224,6 +288,7 @@ router.put('/:id', protect, [
     if (filters) group.filters = { ...group.filters, ...filters };
 
     await group.save();
+    await ContactActivity.recordGroupChanges(req.user.id, group, previousContacts, group.contacts);
 
     res.json({
       success: true,
@@ -260,6 +325,7 @@ router.delete('/:id', protect, [
     }
 
     await ContactGroup.findByIdAndDelete(req.params.id);
+    await ContactActivity.recordGroupChanges(req.user.id, group, group.contacts, []);
 
     res.json({
       success: true,
@@ -304,6 +370,13 @@ router.post('/:id/contacts', protect, [
       });
     }
 
+    if (group.isDynamic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Members of a dynamic segment are set by its rules'
+      });
+    }
+
     const { contactIds } = req.body;
 
     // Validate contact IDs
@@ -314,7 +387,9 @@ router.post('/:id/contacts', protect, [
     });
 
     const newContactIds = validContacts.map(contact => contact._id);
+    const previousContacts = [...group.contacts];
     await group.addContacts(newContactIds);
+    await ContactActivity.recordGroupChanges(req.user.id, group, previousContacts, group.contacts);
 
     res.json({
       success: true,
@@ -354,7 +429,16 @@ router.delete('/:id/contacts/:contactId', protect, [
       });
     }
 
+    if (group.isDynamic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Members of a dynamic segment are set by its rules'
+      });
+    }
+
+    const previousContacts = [...group.contacts];
     await group.removeContact(req.params.contactId);
+    await ContactActivity.recordGroupChanges(req.user.id, group, previousContacts, group.contacts);
 
     res.json({
       success: true,
@@ -396,6 +480,33 @@ router.get('/:id/contacts', protect, [
 
     const { page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
+
+    // Dynamic segments are queried live rather than read from the stored list
+    if (group.isDynamic) {
+      const membersQuery = await segmentService.membersQuery(group);
+      const [contacts, total] = await Promise.all([
+        Contact.find(membersQuery)
+          .select('name email phone company status tags')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Contact.countDocuments(membersQuery)
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          contacts,
+          totalContacts: total,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    }
+
     const contacts = group.contacts.slice(skip, skip + parseInt(limit));
 
     res.json({
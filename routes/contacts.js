@@ -2,10 +2,22 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { protect } from '../middleware/auth.js';
 import Contact from '../models/Contact.js';
+import { STAGES } from '../services/engagementService.js';
+import timelineService, { TIMELINE_TYPES } from '../services/timelineService.js';
+import contactMergeService from '../services/contactMergeService.js';
+import customFieldService from '../services/customFieldService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Sort keys accepted by GET /api/contacts. Engagement sorts use the decay-adjusted rank.
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  engagementScore: 'engagement.rank',
+  lastEngagedAt: 'engagement.lastEngagedAt'
+};
+
 // @route   GET /api/contacts
 // @desc    Get user's contacts
 // @access  Private
@@ -14,7 +26,10 @@ router.get('/', protect, [
   query('limit').optional().isInt({ min: 1, max: 1000 }),
   query('search').optional().trim().isLength({ min: 1, max: 100 }),
   query('tags').optional().isString(),
-  query('company').optional().trim().isLength({ max: 100 })
+  query('company').optional().trim().isLength({ max: 100 }),
+  query('stage').optional().isIn(STAGES).withMessage(`Stage must be one of: ${STAGES.join(', ')}`),
+  query('sortBy').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,7 +41,7 @@ router.get('/', protect, [
       });
     }
 
-    const { page = 1, limit = 20, search, tags, company } = req.query;
+    const { page = 1, limit = 20, search, tags, company, stage, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     const skip = (page - 1) * limit;
 
     // Build query
@@ -54,8 +69,13 @@ router.get('/', protect, [
       query.company = new RegExp(company, 'i');
     }
 
+    // Add lifecycle stage filter; contacts from before stages existed are new
+    if (stage) {
+      query['engagement.stage'] = stage === 'new' ? { $in: ['new', null] } : stage;
+    }
+
     const contacts = await Contact.find(query)
-      .sort({ createdAt: -1 })
+      .sort({ [SORT_FIELDS[sortBy]]: sortOrder === 'asc' ? 1 : -1, _id: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -82,6 +102,91 @@ router.get('/', protect, [
   }
 });
 
+// @route   GET /api/contacts/duplicates
+// @desc    Find likely duplicate contacts by email alias, phone number and name + company
+// @access  Private
+router.get('/duplicates', protect, [
+  query('minConfidence').optional().isFloat({ min: 0, max: 1 }).withMessage('minConfidence must be between 0 and 1'),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pairs, total } = await contactMergeService.findDuplicates(req.user.id, {
+      minConfidence: req.query.minConfidence !== undefined ? parseFloat(req.query.minConfidence) : 0.5,
+      limit: parseInt(req.query.limit || 50)
+    });
+
+    res.json({
+      success: true,
+      data: { pairs, total }
+    });
+
+  } catch (error) {
+    logger.error('Find duplicate contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/contacts/merge
+// @desc    Merge duplicate contacts into a primary contact
+// @access  Private
+router.post('/merge', protect, [
+  body('primaryId').isMongoId().withMessage('Valid primary contact ID is required'),
+  body('duplicateIds').isArray({ min: 1 }).withMessage('duplicateIds must be a non-empty array'),
+  body('duplicateIds.*').isMongoId().withMessage('Invalid duplicate contact ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await contactMergeService.merge(req.user.id, req.body.primaryId, req.body.duplicateIds);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.info(`Merged ${result.merged} contacts into ${result.contact.email} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Contacts merged successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Merge contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/contacts/:id
 // @desc    Get contact by ID
 // @access  Private
@@ -126,6 +231,74 @@ router.get('/:id', protect, [
   }
 });
 
+// @route   GET /api/contacts/:id/timeline
+// @desc    Get a contact's messages, tracking events, opt-outs and group changes, newest first
+// @access  Private
+router.get('/:id/timeline', protect, [
+  param('id').isMongoId().withMessage('Invalid contact ID'),
+  query('page').optional().isInt({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('types').optional().isString().custom(value => value.split(',').every(type => TIMELINE_TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma-separated list of: ${TIMELINE_TYPES.join(', ')}`),
+  query('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select('name email phone source userId mergedFrom createdAt');
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+    const { entries, total } = await timelineService.getTimeline(contact, {
+      types: req.query.types ? req.query.types.split(',').map(type => type.trim()) : TIMELINE_TYPES,
+      channel: req.query.channel || null,
+      startDate: req.query.startDate ? new Date(req.query.startDate) : null,
+      endDate: req.query.endDate ? new Date(req.query.endDate) : null,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        contact: { _id: contact._id, name: contact.name, email: contact.email, phone: contact.phone },
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get contact timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/contacts
 // @desc    Create new contact
 // @access  Private
@@ -150,6 +323,22 @@ router.post('/', protect, [
 
     const { name, email, phone, company, position, tags = [], customFields = {} } = req.body;
 
+    // Check custom fields against the user's definitions and store them typed
+    let typedFields;
+    try {
+      typedFields = await customFieldService.prepare(req.user.id, customFields);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
     // Check if contact with email already exists for this user
     const existingContact = await Contact.findOne({
       email: email.toLowerCase(),
@@ -170,7 +359,7 @@ router.post('/', protect, [
       company,
       position,
       tags,
-      customFields,
+      customFields: typedFields,
       userId: req.user.id,
       source: 'manual'
     });
@@ -245,9 +434,26 @@ router.put('/:id', protect, [
       }
     }
 
+    // Custom fields are replaced as a whole, so required fields must be present
+    if (req.body.customFields !== undefined) {
+      try {
+        contact.customFields = await customFieldService.prepare(req.user.id, req.body.customFields);
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+      }
+    }
+
     // Update contact
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
+      if (req.body[key] !== undefined && key !== 'customFields') {
         if (key === 'email') {
           contact[key] = req.body[key].toLowerCase();
         } else {
@@ -0,0 +1,210 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { protect } from '../middleware/auth.js';
+import CustomFieldDefinition from '../models/CustomFieldDefinition.js';
+import customFieldService, { FIELD_TYPES } from '../services/customFieldService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const hasOptions = type => ['select', 'multiselect'].includes(type);
+
+const withVariable = definition => ({
+  ...definition.toObject(),
+  variable: `{{${definition.key}}}`
+});
+
+const definitionValidation = [
+  body('label').optional().trim().notEmpty().withMessage('Label cannot be empty').isLength({ max: 100 }),
+  body('options').optional().isArray({ max: 100 }).withMessage('Options must be an array of at most 100 values'),
+  body('options.*').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Options must be non-empty text'),
+  body('required').optional().isBoolean().withMessage('Required must be true or false'),
+  body('description').optional().trim().isLength({ max: 500 })
+];
+
+// @route   GET /api/custom-fields
+// @desc    List the user's custom field definitions
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const definitions = await CustomFieldDefinition.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        fields: definitions.map(withVariable),
+        types: FIELD_TYPES
+      }
+    });
+  } catch (error) {
+    logger.error('Get custom fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/custom-fields
+// @desc    Define a custom field; existing values for the key are converted to its type
+// @access  Private
+router.post('/', protect, [
+  body('key')
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9_]{0,49}$/)
+    .withMessage('Key must start with a letter and contain only letters, digits and underscores (max 50)')
+    .custom(key => !customFieldService.isReservedKey(key))
+    .withMessage('Key is a built-in contact variable'),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('type').isIn(FIELD_TYPES).withMessage(`Type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body('options')
+    .custom((options, { req }) => !hasOptions(req.body.type) || (Array.isArray(options) && options.length > 0))
+    .withMessage('Select fields need at least one option'),
+  ...definitionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, label, type, options = [], required = false, description = '' } = req.body;
+
+    const definition = await CustomFieldDefinition.create({
+      userId: req.user.id,
+      key,
+      label,
+      type,
+      options,
+      required,
+      description
+    });
+
+    const conversion = await customFieldService.convertExisting(definition);
+
+    logger.info(`Custom field defined: ${key} (${type}) by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: {
+        field: withVariable(definition),
+        conversion
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A custom field with this key already exists'
+      });
+    }
+    logger.error('Create custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/custom-fields/:id
+// @desc    Update a custom field's label, options, required flag or description.
+//          Key and type are fixed once values are stored under them.
+// @access  Private
+router.put('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid custom field ID'),
+  body('key').not().exists().withMessage('Key cannot be changed'),
+  body('type').not().exists().withMessage('Type cannot be changed; define a new field instead'),
+  ...definitionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await CustomFieldDefinition.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    if (hasOptions(definition.type) && Array.isArray(req.body.options) && req.body.options.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select fields need at least one option'
+      });
+    }
+
+    ['label', 'options', 'required', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        definition[field] = req.body[field];
+      }
+    });
+
+    await definition.save();
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: { field: withVariable(definition) }
+    });
+  } catch (error) {
+    logger.error('Update custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/custom-fields/:id
+// @desc    Delete a custom field definition. Stored values are kept as they are.
+// @access  Private
+router.delete('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid custom field ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await CustomFieldDefinition.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    logger.info(`Custom field deleted: ${definition.key} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
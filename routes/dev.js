@@ -0,0 +1,217 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import fileProvider from '../services/emailProviders/fileProvider.js';
+import smsService from '../services/smsService.js';
+import MessageSink from '../utils/messageSink.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// The SMS sink is only created when SMS_PROVIDER=file, but earlier captures stay browsable
+const smsSink = smsService.sink || new MessageSink(process.env.SMS_SINK_DIR || 'storage/sms', 'sms');
+
+const listValidation = [
+  query('to').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// Pull every href out of the HTML so tracking links can be checked at a glance
+const extractLinks = (html) => {
+  const links = [];
+  const pattern = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    links.push(match[1]);
+  }
+  return links;
+};
+
+const listMessages = async (sink, req, summarize) => {
+  const { to, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const { messages, total } = await sink.list({ to, limit: parseInt(limit), skip });
+
+  return {
+    messages: messages.map(summarize),
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+// @route   GET /api/dev/mailbox
+// @desc    List emails captured by the file sink
+// @access  Private/Admin (development only)
+router.get('/mailbox', protect, requireAdmin, listValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await listMessages(fileProvider.sink, req, message => ({
+      id: message.id,
+      emailId: message.emailId,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      createdAt: message.createdAt
+    }));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('List dev mailbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/dev/mailbox
+// @desc    Clear all emails captured by the file sink
+// @access  Private/Admin (development only)
+router.delete('/mailbox', protect, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await fileProvider.sink.clear();
+
+    res.json({
+      success: true,
+      message: `${deleted} messages deleted`,
+      data: { deleted }
+    });
+  } catch (error) {
+    logger.error('Clear dev mailbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/dev/mailbox/:id
+// @desc    Get a captured email with HTML, text, headers and links
+// @access  Private/Admin (development only)
+router.get('/mailbox/:id', protect, requireAdmin, [
+  param('id').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const message = await fileProvider.sink.get(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: {
+          ...message,
+          links: extractLinks(message.html)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get dev mailbox message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/dev/sms
+// @desc    List SMS messages captured by the file sink
+// @access  Private/Admin (development only)
+router.get('/sms', protect, requireAdmin, listValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await listMessages(smsSink, req, message => message);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('List dev SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/dev/sms
+// @desc    Clear all SMS messages captured by the file sink
+// @access  Private/Admin (development only)
+router.delete('/sms', protect, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await smsSink.clear();
+
+    res.json({
+      success: true,
+      message: `${deleted} messages deleted`,
+      data: { deleted }
+    });
+  } catch (error) {
+    logger.error('Clear dev SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/dev/sms/:id
+// @desc    Get a captured SMS message
+// @access  Private/Admin (development only)
+router.get('/sms/:id', protect, requireAdmin, [
+  param('id').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const message = await smsSink.get(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    logger.error('Get dev SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
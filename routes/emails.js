@@ -2,12 +2,25 @@ import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import Email from '../models/Email.js';
 import Quota from '../models/Quota.js';
+import Suppression from '../models/Suppression.js';
+import Contact from '../models/Contact.js';
 import { protect, authenticateApiKey, requirePermission } from '../middleware/auth.js';
 import emailService from '../services/emailService.js';
+import emailEventService from '../services/emailEventService.js';
+import trackingService from '../services/trackingService.js';
+import { verifyMailjetWebhook } from '../middleware/webhookAuth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Only campaign dispatch sets metadata.campaignId; a caller-supplied one would collide with
+// the one-message-per-contact-per-campaign index, so it is dropped. metadata.contactId is
+// always the recipient's own contact, never one named by the caller.
+const directMetadata = (metadata, contact = null) => {
+  const { campaignId, contactId, ...rest } = metadata || {};
+  return contact ? { ...rest, contactId: contact._id } : rest;
+};
+
 // @route   POST /api/emails/send
 // @desc    Send email
 // @access  Private
@@ -49,6 +62,17 @@ router.post('/send', protect, [
 
     const { to, subject, content, priority = 'normal', scheduledAt, metadata } = req.body;
 
+    const suppressedReason = await Suppression.isSuppressed(req.user.id, 'email', to);
+    if (suppressedReason) {
+      return res.status(422).json({
+        success: false,
+        message: 'Recipient is on a suppression list',
+        data: {
+          skipped: [{ to, reason: suppressedReason }]
+        }
+      });
+    }
+
     // Check quota
     const quota = await Quota.findOne({ userId: req.user.id });
     if (!quota) {
@@ -65,7 +89,12 @@ router.post('/send', protect, [
       });
     }
 
-    // Create email record
+    const sendNow = !scheduledAt || new Date(scheduledAt) <= new Date();
+
+    // Link the message to the recipient's contact so it shows in their timeline
+    const contact = await Contact.findOne({ userId: req.user.id, email: to.toLowerCase() }).select('_id');
+
+    // Create email record (claimed up front when sent inline so the scheduler leaves it alone)
     const email = await Email.create({
       userId: req.user.id,
       to,
@@ -73,17 +102,19 @@ router.post('/send', protect, [
       content,
       priority,
       scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
-      metadata: metadata || {}
+      claimedBy: sendNow ? 'api' : null,
+      claimedAt: sendNow ? new Date() : null,
+      metadata: directMetadata(metadata, contact)
     });
 
     // Consume quota
     await quota.consumeQuota('email');
 
     // Send email immediately if not scheduled
-    if (!scheduledAt || new Date(scheduledAt) <= new Date()) {
+    if (sendNow) {
       try {
-        await emailService.sendEmail(email);
-        await email.markAsSent();
+        const result = await emailService.sendEmail(email);
+        await email.markAsSent(result);
       } catch (error) {
         await email.markAsFailed(error.message);
         logger.error('Email send error:', error);
@@ -100,7 +131,7 @@ router.post('/send', protect, [
 
     res.status(201).json({
       success: true,
-      message: 'Email sent successfully',
+      message: sendNow ? 'Email sent successfully' : 'Email scheduled successfully',
       data: {
         email: {
           id: email._id,
@@ -162,7 +193,28 @@ router.post('/', protect, [
       });
     }
 
-    const { name, subject, content, recipients, scheduledAt, metadata } = req.body;
+    const { name, subject, content, scheduledAt, metadata } = req.body;
+
+    // Leave out anyone on the user's or the system suppression list
+    const suppressed = await Suppression.findSuppressed(req.user.id, 'email', req.body.recipients);
+    const skipped = [];
+    const recipients = [];
+    for (const recipient of req.body.recipients) {
+      const reason = suppressed.get(Suppression.normalizeValue('email', recipient));
+      if (reason) {
+        skipped.push({ to: recipient, reason });
+      } else {
+        recipients.push(recipient);
+      }
+    }
+
+    if (recipients.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'All recipients are on a suppression list',
+        data: { skipped }
+      });
+    }
 
     // Check quota
     const quota = await Quota.findOne({ userId: req.user.id });
@@ -187,7 +239,7 @@ router.post('/', protect, [
       content,
       recipients,
       scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
-      metadata: metadata || {},
+      metadata: directMetadata(metadata),
       userId: req.user.id,
       status: 'draft'
     };
@@ -231,7 +283,8 @@ router.post('/', protect, [
           id: email._id,
           to: email.to,
           status: email.status
-        }))
+        })),
+        skipped
       }
     });
   } catch (error) {
@@ -389,70 +442,70 @@ router.get('/stats/overview', protect, [
   }
 });
 
-// @route   POST /api/emails/:id/track/open
-// @desc    Track email open
-// @access  Public (for tracking pixels)
-router.post('/:id/track/open', async (req, res) => {
+// @route   POST /api/emails/webhook/mailjet
+// @desc    Mailjet event webhook (sent, open, click, bounce, blocked, spam, unsub)
+// @access  Public (shared secret)
+router.post('/webhook/mailjet', verifyMailjetWebhook, async (req, res) => {
   try {
-    const email = await Email.findById(req.params.id);
-    
-    if (!email) {
-      return res.status(404).json({
+    if (!req.body || (typeof req.body !== 'object')) {
+      return res.status(400).json({
         success: false,
-        message: 'Email not found'
+        message: 'Event payload is required'
       });
     }
 
-    await email.markAsOpened();
+    const summary = await emailEventService.ingestMailjet(req.body);
 
-    // Return 1x1 transparent pixel
-    const pixel = Buffer.from(
-      'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
-      'base64'
-    );
+    logger.info(`Mailjet webhook: ${summary.processed} processed, ${summary.duplicates} duplicate, ${summary.unmatched} unmatched, ${summary.ignored} ignored`);
 
-    res.set({
-      'Content-Type': 'image/png',
-      'Content-Length': pixel.length,
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
+    res.json({
+      success: true,
+      message: 'Webhook processed successfully',
+      data: summary
     });
-
-    res.send(pixel);
   } catch (error) {
-    logger.error('Track email open error:', error);
-    res.status(500).send();
+    // A non-2xx response makes Mailjet retry; ingestion is idempotent so that is safe
+    logger.error('Mailjet webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
   }
 });
 
-// @route   POST /api/emails/:id/track/click
-// @desc    Track email click
-// @access  Public (for click tracking)
-router.post('/:id/track/click', async (req, res) => {
+// @route   GET /api/emails/track/open/:token
+// @desc    Open-tracking pixel embedded in outgoing HTML
+// @access  Public (signed token)
+router.get('/track/open/:token', async (req, res) => {
+  await trackingService.recordOpen(req.params.token, req);
+
+  // Always answer with the pixel so mail clients never show a broken image
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': trackingService.pixel.length,
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  });
+
+  res.send(trackingService.pixel);
+});
+
+// @route   GET /api/emails/track/click/:token
+// @desc    Record a link click and redirect to the signed destination
+// @access  Public (signed token)
+router.get('/track/click/:token', async (req, res) => {
   try {
-    const { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        message: 'URL is required'
-      });
-    }
+    const url = await trackingService.recordClick(req.params.token, req);
 
-    const email = await Email.findById(req.params.id);
-    
-    if (!email) {
+    if (!url) {
       return res.status(404).json({
         success: false,
-        message: 'Email not found'
+        message: 'Link not found'
       });
     }
 
-    await email.markAsClicked();
-
-    // Redirect to the original URL
-    res.redirect(url);
+    res.redirect(302, url);
   } catch (error) {
     logger.error('Track email click error:', error);
     res.status(500).json({
@@ -0,0 +1,196 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import preferenceService from '../services/preferenceService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f3f4f6; color: #111827; margin: 0; padding: 32px 16px; }
+  main { max-width: 520px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  h1 { font-size: 22px; margin-top: 0; }
+  fieldset { border: 1px solid #e5e7eb; border-radius: 6px; margin: 16px 0; padding: 12px 16px; }
+  label { display: block; margin: 8px 0; }
+  small { color: #6b7280; display: block; margin-left: 24px; }
+  button { background: #2563eb; color: #fff; border: 0; border-radius: 6px; padding: 10px 16px; font-size: 14px; cursor: pointer; }
+  button.secondary { background: #fff; color: #b91c1c; border: 1px solid #b91c1c; }
+  .notice { background: #ecfdf5; color: #065f46; padding: 12px; border-radius: 6px; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const preferencePage = (preferences, notice = null) => {
+  const parts = [
+    '<h1>Email preferences</h1>',
+    `<p>Managing emails sent to <strong>${escapeHtml(preferences.email)}</strong>.</p>`
+  ];
+
+  if (notice) {
+    parts.push(`<p class="notice">${escapeHtml(notice)}</p>`);
+  }
+
+  if (!preferences.subscribed) {
+    parts.push(
+      '<p>You are unsubscribed and will not receive any more emails from us.</p>',
+      '<form method="post"><input type="hidden" name="action" value="resubscribe">',
+      '<button type="submit">Resubscribe</button></form>'
+    );
+    return page('Email preferences', parts.join('\n'));
+  }
+
+  const checkbox = (name, value, checked, label, description = '') =>
+    `<label><input type="checkbox" name="${name}" value="${escapeHtml(value)}"${checked ? ' checked' : ''}> ${escapeHtml(label)}</label>` +
+    (description ? `<small>${escapeHtml(description)}</small>` : '');
+
+  if (preferences.groups.length > 0 || preferences.topics.length > 0) {
+    parts.push('<form method="post"><input type="hidden" name="action" value="update">');
+    if (preferences.groups.length > 0) {
+      parts.push('<fieldset><legend>Lists</legend>');
+      parts.push(...preferences.groups.map(group => checkbox('groups', group.id, group.subscribed, group.name, group.description)));
+      parts.push('</fieldset>');
+    }
+    if (preferences.topics.length > 0) {
+      parts.push('<fieldset><legend>Topics</legend>');
+      parts.push(...preferences.topics.map(topic => checkbox('topics', topic.name, topic.subscribed, topic.name)));
+      parts.push('</fieldset>');
+    }
+    parts.push('<button type="submit">Save preferences</button></form>');
+  }
+
+  parts.push(
+    '<hr>',
+    '<form method="post"><input type="hidden" name="action" value="unsubscribe_all">',
+    '<button type="submit" class="secondary">Unsubscribe from all emails</button></form>'
+  );
+
+  return page('Email preferences', parts.join('\n'));
+};
+
+const wantsJson = (req) => req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+
+const notFound = (req, res) => {
+  const message = 'This unsubscribe link is invalid';
+  if (wantsJson(req)) {
+    return res.status(404).json({ success: false, message });
+  }
+  return res.status(404).send(page('Link not found', `<h1>Link not found</h1><p>${message}.</p>`));
+};
+
+// Form fields arrive as a string for a single checkbox and an array for several
+const asList = (value) => [].concat(value || []);
+
+// @route   GET /api/public/unsubscribe/:token
+// @desc    Preference center for the contact the signed token belongs to
+// @access  Public
+router.get('/unsubscribe/:token', [
+  param('token').isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return notFound(req, res);
+    }
+
+    const context = await preferenceService.resolve(req.params.token);
+    if (!context) {
+      return notFound(req, res);
+    }
+
+    const preferences = await preferenceService.getPreferences(context);
+
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        data: { preferences }
+      });
+    }
+
+    res.send(preferencePage(preferences));
+  } catch (error) {
+    logger.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/public/unsubscribe/:token
+// @desc    One-click unsubscribe (RFC 8058) or preference center updates
+// @access  Public
+router.post('/unsubscribe/:token', [
+  param('token').isLength({ min: 1, max: 500 }),
+  body('action').optional().isIn(['unsubscribe_all', 'update', 'resubscribe']).withMessage('Action must be unsubscribe_all, update or resubscribe')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (errors.array().some(error => error.path === 'token')) {
+        return notFound(req, res);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const context = await preferenceService.resolve(req.params.token);
+    if (!context) {
+      return notFound(req, res);
+    }
+
+    // Mail clients send "List-Unsubscribe=One-Click"; a POST without an action means the same
+    const oneClick = req.body['List-Unsubscribe'] === 'One-Click';
+    const action = oneClick ? 'unsubscribe_all' : (req.body.action || 'unsubscribe_all');
+    let notice;
+
+    if (action === 'update') {
+      await preferenceService.updatePreferences(context, {
+        groups: asList(req.body.groups),
+        topics: asList(req.body.topics)
+      });
+      notice = 'Your preferences have been saved.';
+    } else if (action === 'resubscribe') {
+      await preferenceService.resubscribe(context);
+      notice = 'You have been resubscribed.';
+    } else {
+      await preferenceService.unsubscribeAll(context, oneClick ? 'one_click' : 'preference_center');
+      notice = 'You have been unsubscribed from all emails.';
+    }
+
+    const preferences = await preferenceService.getPreferences(context);
+
+    if (oneClick || wantsJson(req)) {
+      return res.json({
+        success: true,
+        message: notice,
+        data: { preferences }
+      });
+    }
+
+    res.send(preferencePage(preferences, notice));
+  } catch (error) {
+    logger.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import shortLinkService from '../services/shortLinkService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @route   GET /s/:code
+// @desc    Follow a short link from an SMS, counting the click for its recipient
+// @access  Public
+router.get('/:code', async (req, res) => {
+  try {
+    const url = await shortLinkService.recordClick(req.params.code, req);
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('Short link redirect error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,144 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import SMS from '../models/SMS.js';
 import Quota from '../models/Quota.js';
+import Suppression from '../models/Suppression.js';
+import Contact from '../models/Contact.js';
 import { protect, authenticateApiKey, requirePermission } from '../middleware/auth.js';
+import { verifyTwilioSignature } from '../middleware/webhookAuth.js';
 import smsService from '../services/smsService.js';
+import shortLinkService from '../services/shortLinkService.js';
+import { normalizePhone, phoneVariants } from '../utils/phone.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// metadata.campaignId is reserved for campaign dispatch (see the unique index on SMS), and
+// metadata.contactId is always looked up from the recipient rather than taken from the caller
+const directMetadata = (metadata, contact = null) => {
+  const { campaignId, contactId, ...rest } = metadata || {};
+  return contact ? { ...rest, contactId: contact._id } : rest;
+};
+
+// Check suppression, quota and spend cap, then create and send (or schedule) an SMS.
+// Shared by direct sends and conversation replies.
+const sendMessage = async (req, res, { to, message, priority = 'normal', scheduledAt, metadata, shortenLinks = true, inReplyTo = null }) => {
+  const suppressedReason = await Suppression.isSuppressed(req.user.id, 'sms', to);
+  if (suppressedReason) {
+    return res.status(422).json({
+      success: false,
+      message: 'Recipient is on a suppression list',
+      data: {
+        skipped: [{ to, reason: suppressedReason }]
+      }
+    });
+  }
+
+  // Check quota
+  const quota = await Quota.findOne({ userId: req.user.id });
+  if (!quota) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quota not found'
+    });
+  }
+
+  // Quota and cost are counted in segments; shortening links below can only lower them
+  const charge = await smsService.priceMessage(message, to);
+  if (!quota.hasQuotaAvailable('sms', charge.segments)) {
+    return res.status(429).json({
+      success: false,
+      message: 'SMS quota exceeded'
+    });
+  }
+
+  const spent = await SMS.getSpendSince(req.user.id);
+  if (!quota.hasSpendAvailable(spent, charge.cost)) {
+    return res.status(429).json({
+      success: false,
+      message: 'Monthly SMS spend cap reached',
+      data: {
+        spendCap: quota.sms.spendCap,
+        spent,
+        cost: charge.cost,
+        currency: charge.currency
+      }
+    });
+  }
+
+  const sendNow = !scheduledAt || new Date(scheduledAt) <= new Date();
+
+  // Link the message to the recipient's contact so it shows in their timeline
+  const contact = await Contact.findByPhone(req.user.id, to);
+
+  // Create SMS record (claimed up front when sent inline so the scheduler leaves it alone)
+  const sms = await SMS.create({
+    userId: req.user.id,
+    to,
+    message,
+    priority,
+    scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
+    claimedBy: sendNow ? 'api' : null,
+    claimedAt: sendNow ? new Date() : null,
+    cost: charge.cost,
+    currency: charge.currency,
+    country: charge.country,
+    inReplyTo,
+    metadata: directMetadata(metadata, contact)
+  });
+
+  // Swap long URLs for short links on our domain so they take fewer segments
+  if (shortenLinks) {
+    const shortened = await shortLinkService.shortenMessage(sms);
+    if (shortened !== sms.message) {
+      sms.message = shortened;
+      await smsService.recordCharge(sms);
+      await sms.save();
+    }
+  }
+
+  // Consume quota
+  await quota.consumeQuota('sms', sms.segments);
+
+  // Send SMS immediately if not scheduled
+  if (sendNow) {
+    try {
+      const result = await smsService.sendSMS(sms);
+      await sms.markAsSent(result.messageId, result.sid);
+    } catch (error) {
+      await sms.markAsFailed(error.message, error.code);
+      logger.error('SMS send error:', error);
+      
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send SMS',
+        error: error.message
+      });
+    }
+  }
+
+  logger.info(`SMS sent to: ${to} by user: ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: sendNow ? 'SMS sent successfully' : 'SMS scheduled successfully',
+    data: {
+      sms: {
+        id: sms._id,
+        to: sms.to,
+        message: sms.message,
+        encoding: sms.encoding,
+        segments: sms.segments,
+        status: sms.status,
+        scheduledAt: sms.scheduledAt,
+        sentAt: sms.sentAt,
+        cost: sms.cost,
+        links: shortenLinks ? await shortLinkService.linksFor(sms._id) : []
+      }
+    }
+  });
+};
+
 // @route   POST /api/sms/send
 // @desc    Send SMS
 // @access  Private
@@ -26,7 +157,11 @@ router.post('/send', protect, [
   body('scheduledAt')
     .optional()
     .isISO8601()
-    .withMessage('Scheduled date must be a valid ISO 8601 date')
+    .withMessage('Scheduled date must be a valid ISO 8601 date'),
+  body('shortenLinks')
+    .optional()
+    .isBoolean()
+    .withMessage('Shorten links must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -39,73 +174,61 @@ router.post('/send', protect, [
       });
     }
 
-    const { to, message, priority = 'normal', scheduledAt, metadata } = req.body;
+    const { to, message, priority, scheduledAt, metadata, shortenLinks } = req.body;
 
-    // Check quota
-    const quota = await Quota.findOne({ userId: req.user.id });
-    if (!quota) {
-      return res.status(404).json({
-        success: false,
-        message: 'Quota not found'
-      });
-    }
+    return await sendMessage(req, res, { to, message, priority, scheduledAt, metadata, shortenLinks });
+  } catch (error) {
+    logger.error('Send SMS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    if (!quota.hasQuotaAvailable('sms')) {
-      return res.status(429).json({
+// @route   POST /api/sms/estimate
+// @desc    Estimate encoding, segments and cost per destination country for a message
+// @access  Private
+router.post('/estimate', protect, [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1600 })
+    .withMessage('Message must be between 1 and 1600 characters'),
+  body('to')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('To must be an array of up to 1000 phone numbers'),
+  body('to.*')
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage('Valid phone number is required'),
+  body('countries')
+    .optional()
+    .isArray({ max: 250 })
+    .withMessage('Countries must be an array'),
+  body('countries.*')
+    .isISO31661Alpha2()
+    .withMessage('Countries must be ISO 3166-1 alpha-2 codes')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'SMS quota exceeded'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Create SMS record
-    const sms = await SMS.create({
-      userId: req.user.id,
-      to,
-      message,
-      priority,
-      scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
-      metadata: metadata || {}
-    });
+    const { message, to = [], countries = [] } = req.body;
+    const estimate = await smsService.estimate(message, { to, countries });
 
-    // Consume quota
-    await quota.consumeQuota('sms');
-
-    // Send SMS immediately if not scheduled
-    if (!scheduledAt || new Date(scheduledAt) <= new Date()) {
-      try {
-        const result = await smsService.sendSMS(sms);
-        await sms.markAsSent(result.messageId, result.sid);
-      } catch (error) {
-        await sms.markAsFailed(error.message, error.code);
-        logger.error('SMS send error:', error);
-        
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to send SMS',
-          error: error.message
-        });
-      }
-    }
-
-    logger.info(`SMS sent to: ${to} by user: ${req.user.email}`);
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'SMS sent successfully',
-      data: {
-        sms: {
-          id: sms._id,
-          to: sms.to,
-          message: sms.message,
-          status: sms.status,
-          scheduledAt: sms.scheduledAt,
-          sentAt: sms.sentAt,
-          cost: sms.cost
-        }
-      }
+      data: { estimate }
     });
   } catch (error) {
-    logger.error('Send SMS error:', error);
+    logger.error('Estimate SMS error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -119,7 +242,8 @@ router.post('/send', protect, [
 router.get('/', protect, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['pending', 'sent', 'delivered', 'failed', 'undelivered']).withMessage('Invalid status'),
+  query('status').optional().isIn(['pending', 'sent', 'delivered', 'failed', 'undelivered', 'received']).withMessage('Invalid status'),
+  query('direction').optional().isIn(['outbound', 'inbound']).withMessage('Direction must be outbound or inbound'),
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
 ], async (req, res) => {
@@ -144,6 +268,10 @@ router.get('/', protect, [
     if (req.query.status) {
       filter.status = req.query.status;
     }
+
+    if (req.query.direction) {
+      filter.direction = req.query.direction === 'inbound' ? 'inbound' : { $ne: 'inbound' };
+    }
     
     if (req.query.startDate && req.query.endDate) {
       filter.createdAt = {
@@ -179,6 +307,200 @@ router.get('/', protect, [
   }
 });
 
+const threadFilter = (userId, phone) => {
+  const numbers = phoneVariants(phone);
+  return {
+    userId,
+    $or: [
+      { direction: 'inbound', from: { $in: numbers } },
+      { direction: { $ne: 'inbound' }, to: { $in: numbers } }
+    ]
+  };
+};
+
+// @route   GET /api/sms/conversations
+// @desc    List conversations with contacts who have replied, most recent first
+// @access  Private
+router.get('/conversations', protect, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('Unread must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [result] = await SMS.getConversations(req.user.id, {
+      skip: (page - 1) * limit,
+      limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const contactIds = result.conversations.map(conversation => conversation.contactId).filter(Boolean);
+    const contacts = await Contact.find({ _id: { $in: contactIds }, userId: req.user.id }).select('name email phone status');
+    const contactsById = new Map(contacts.map(contact => [contact._id.toString(), contact]));
+    const suppressed = await Suppression.findSuppressed(req.user.id, 'sms', result.conversations.map(conversation => conversation._id));
+
+    res.json({
+      success: true,
+      data: {
+        conversations: result.conversations.map(conversation => ({
+          phone: conversation._id,
+          contact: conversation.contactId ? contactsById.get(conversation.contactId.toString()) || null : null,
+          lastMessage: conversation.lastMessage,
+          lastDirection: conversation.lastDirection,
+          lastMessageAt: conversation.lastMessageAt,
+          messages: conversation.messages,
+          unread: conversation.unread,
+          optedOut: suppressed.get(Suppression.normalizeValue('sms', conversation._id)) || null
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get SMS conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/sms/conversations/:phone
+// @desc    Get the messages exchanged with a number (newest page first) and mark replies read
+// @access  Private
+router.get('/conversations/:phone', protect, [
+  param('phone').matches(/^\+?[1-9]\d{1,14}$/).withMessage('Valid phone number is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = threadFilter(req.user.id, req.params.phone);
+
+    const [messages, total] = await Promise.all([
+      SMS.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('direction from to message status keyword segments cost sentAt deliveredAt readAt inReplyTo metadata.campaignId metadata.contactId createdAt'),
+      SMS.countDocuments(filter)
+    ]);
+
+    if (total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    await SMS.updateMany({ ...filter, direction: 'inbound', readAt: null }, { readAt: new Date() });
+
+    const contactId = messages.map(sms => sms.metadata && sms.metadata.contactId).find(Boolean);
+    const contact = contactId
+      ? await Contact.findOne({ _id: contactId, userId: req.user.id }).select('name email phone status')
+      : await Contact.findByPhone(req.user.id, req.params.phone);
+
+    const suppressed = await Suppression.findSuppressed(req.user.id, 'sms', phoneVariants(req.params.phone));
+
+    res.json({
+      success: true,
+      data: {
+        phone: normalizePhone(req.params.phone),
+        contact: contact || null,
+        optedOut: [...suppressed.values()][0] || null,
+        // Oldest first within the page, as a chat is read
+        messages: messages.reverse(),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get SMS conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/sms/conversations/:phone/reply
+// @desc    Reply in a conversation (subject to suppression, quota and spend cap like any send)
+// @access  Private
+router.post('/conversations/:phone/reply', protect, [
+  param('phone').matches(/^\+?[1-9]\d{1,14}$/).withMessage('Valid phone number is required'),
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1600 })
+    .withMessage('Message must be between 1 and 1600 characters'),
+  body('shortenLinks')
+    .optional()
+    .isBoolean()
+    .withMessage('Shorten links must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const latest = await SMS.findOne({ ...threadFilter(req.user.id, req.params.phone), direction: 'inbound' })
+      .sort({ createdAt: -1 });
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    return await sendMessage(req, res, {
+      // Reply to the number in the form it arrived in, from the number it was sent to
+      to: latest.from,
+      message: req.body.message,
+      shortenLinks: req.body.shortenLinks,
+      inReplyTo: latest._id
+    });
+  } catch (error) {
+    logger.error('Reply SMS conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/sms/:id
 // @desc    Get SMS by ID
 // @access  Private
@@ -232,7 +554,7 @@ router.get('/stats/overview', protect, [
 
     const stats = await SMS.getUserStats(req.user.id, startDate, endDate);
     const dailyStats = await SMS.getDailyStats(startDate, endDate);
-    const costAnalysis = await SMS.getCostAnalysis(startDate, endDate);
+    const costAnalysis = await SMS.getCostAnalysis(startDate, endDate, req.user.id);
 
     res.json({
       success: true,
@@ -252,7 +574,9 @@ router.get('/stats/overview', protect, [
           averageCost: 0,
           minCost: 0,
           maxCost: 0,
-          totalMessages: 0
+          totalMessages: 0,
+          totalSegments: 0,
+          byCountry: []
         }
       }
     });
@@ -267,8 +591,8 @@ router.get('/stats/overview', protect, [
 
 // @route   POST /api/sms/webhook/delivery
 // @desc    SMS delivery webhook (Twilio)
-// @access  Public
-router.post('/webhook/delivery', async (req, res) => {
+// @access  Public (Twilio signature)
+router.post('/webhook/delivery', verifyTwilioSignature, async (req, res) => {
   try {
     const { MessageSid, MessageStatus } = req.body;
     
@@ -289,17 +613,7 @@ router.post('/webhook/delivery', async (req, res) => {
     }
 
     // Update status based on Twilio status
-    switch (MessageStatus) {
-      case 'delivered':
-        await sms.markAsDelivered();
-        break;
-      case 'failed':
-        await sms.markAsFailed('Delivery failed', MessageStatus);
-        break;
-      case 'undelivered':
-        await sms.markAsUndelivered();
-        break;
-    }
+    await smsService.applyDeliveryStatus(sms, MessageStatus, req.body.ErrorCode, req.body.ErrorMessage);
 
     logger.info(`SMS webhook received: ${MessageSid} - ${MessageStatus}`);
 
@@ -316,6 +630,37 @@ router.post('/webhook/delivery', async (req, res) => {
   }
 });
 
+// @route   POST /api/sms/webhook/inbound
+// @desc    Incoming SMS webhook (Twilio); stores replies and handles STOP/START/HELP
+// @access  Public (Twilio signature)
+router.post('/webhook/inbound', verifyTwilioSignature, async (req, res) => {
+  try {
+    const { MessageSid, From } = req.body;
+
+    if (!MessageSid || !From) {
+      return res.status(400).json({
+        success: false,
+        message: 'MessageSid and From are required'
+      });
+    }
+
+    const { sms, keyword, duplicate } = await smsService.handleInbound(req.body);
+
+    if (!duplicate) {
+      logger.info(`Inbound SMS received: ${MessageSid}${sms ? ` for user: ${sms.userId}` : ''}${keyword ? ` (${keyword})` : ''}`);
+    }
+
+    // Replies are sent through the API, so Twilio gets an empty TwiML response
+    res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  } catch (error) {
+    logger.error('Inbound SMS webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/sms/:id
 // @desc    Delete SMS
 // @access  Private
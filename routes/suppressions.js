@@ -0,0 +1,411 @@
+import express from 'express';
+import multer from 'multer';
+import XLSX from 'xlsx';
+import { body, param, query, validationResult } from 'express-validator';
+import { protect } from '../middleware/auth.js';
+import Suppression from '../models/Suppression.js';
+import { isValidPhone } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const REASONS = ['hard_bounce', 'complaint', 'unsubscribe', 'sms_stop', 'manual', 'import'];
+
+// CSV imports are small enough to parse straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers report .csv as either text/csv or application/vnd.ms-excel
+    if (['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  }
+});
+
+// The system-wide list is stored with userId null and only admins may touch it
+const resolveScope = (req, scope) => {
+  if (scope === 'system') {
+    return req.user.role === 'admin' ? { userId: null } : { error: 'Only admins can manage the system suppression list' };
+  }
+  return { userId: req.user._id };
+};
+
+const isValidValue = (channel, value) => {
+  if (channel === 'sms') {
+    return isValidPhone(value);
+  }
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+};
+
+const scopeValidation = query('scope').optional().isIn(['user', 'system']).withMessage('Scope must be user or system');
+
+// @route   GET /api/suppressions
+// @desc    List suppressed emails and phone numbers
+// @access  Private
+router.get('/', protect, [
+  scopeValidation,
+  query('channel').optional().isIn(['email', 'sms']),
+  query('reason').optional().isIn(REASONS),
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { scope, channel, reason, search, page = 1, limit = 20 } = req.query;
+    const { userId, error } = resolveScope(req, scope);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = { userId };
+    if (channel) filter.channel = channel;
+    if (reason) filter.reason = reason;
+    if (search) {
+      filter.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const skip = (page - 1) * limit;
+    const suppressions = await Suppression.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Suppression.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        suppressions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/suppressions/export
+// @desc    Export the suppression list as CSV
+// @access  Private
+router.get('/export', protect, [
+  scopeValidation,
+  query('channel').optional().isIn(['email', 'sms'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, error } = resolveScope(req, req.query.scope);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = { userId };
+    if (req.query.channel) filter.channel = req.query.channel;
+
+    const suppressions = await Suppression.find(filter).sort({ createdAt: -1 }).lean();
+
+    const rows = suppressions.map(entry => ({
+      value: entry.value,
+      channel: entry.channel,
+      reason: entry.reason,
+      source: entry.source,
+      note: entry.note,
+      createdAt: entry.createdAt.toISOString()
+    }));
+
+    const sheet = XLSX.utils.json_to_sheet(rows, {
+      header: ['value', 'channel', 'reason', 'source', 'note', 'createdAt']
+    });
+    const csv = XLSX.utils.sheet_to_csv(sheet);
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="suppressions-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(csv);
+  } catch (error) {
+    logger.error('Export suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppressions/import
+// @desc    Import suppressions from a CSV file (columns: value or email/phone, channel, reason, note)
+// @access  Private
+router.post('/import', protect, upload.single('file'), [
+  body('scope').optional().isIn(['user', 'system']).withMessage('Scope must be user or system')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+
+    const { userId, error } = resolveScope(req, req.body.scope);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const workbook = XLSX.read(req.file.buffer, { type: 'buffer', raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '', raw: false });
+
+    const invalid = [];
+    const operations = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const raw = String(row.value || row.email || row.phone || '').trim();
+      const channel = ['email', 'sms'].includes(row.channel) ? row.channel : (raw.includes('@') || row.email ? 'email' : 'sms');
+      const value = Suppression.normalizeValue(channel, raw);
+
+      if (!isValidValue(channel, value)) {
+        invalid.push({ row: index + 2, value: raw, error: `Invalid ${channel === 'sms' ? 'phone number' : 'email address'}` });
+        return;
+      }
+
+      const key = `${channel}:${value}`;
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+
+      operations.push({
+        updateOne: {
+          filter: { userId, channel, value: { $in: Suppression.lookupValues(channel, value) } },
+          update: {
+            $setOnInsert: {
+              userId,
+              channel,
+              value,
+              reason: REASONS.includes(row.reason) ? row.reason : 'import',
+              source: 'import',
+              note: String(row.note || '').slice(0, 500),
+              createdBy: req.user._id
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    const result = operations.length > 0
+      ? await Suppression.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0 };
+
+    logger.info(`Suppressions imported by user ${req.user.email}: ${result.upsertedCount} added`);
+
+    res.json({
+      success: true,
+      message: `${result.upsertedCount} suppressions imported`,
+      data: {
+        imported: result.upsertedCount,
+        existing: operations.length - result.upsertedCount,
+        invalid
+      }
+    });
+  } catch (error) {
+    logger.error('Import suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppressions/check
+// @desc    Check which recipients are suppressed for the current user
+// @access  Private
+router.post('/check', protect, [
+  body('channel').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('values').isArray({ min: 1, max: 1000 }).withMessage('Values must be an array of 1-1000 recipients')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channel, values } = req.body;
+    const suppressed = await Suppression.findSuppressed(req.user._id, channel, values.map(String));
+
+    res.json({
+      success: true,
+      data: {
+        suppressed: values
+          .filter(value => suppressed.has(Suppression.normalizeValue(channel, String(value))))
+          .map(value => ({ value, reason: suppressed.get(Suppression.normalizeValue(channel, String(value))) }))
+      }
+    });
+  } catch (error) {
+    logger.error('Check suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppressions
+// @desc    Add an email address or phone number to the suppression list
+// @access  Private
+router.post('/', protect, [
+  body('channel').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('value').trim().notEmpty().withMessage('Email address or phone number is required'),
+  body('reason').optional().isIn(REASONS),
+  body('note').optional().trim().isLength({ max: 500 }),
+  body('scope').optional().isIn(['user', 'system'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channel, value, reason = 'manual', note = '', scope } = req.body;
+    const { userId, error } = resolveScope(req, scope);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!isValidValue(channel, Suppression.normalizeValue(channel, value))) {
+      return res.status(400).json({
+        success: false,
+        message: channel === 'sms' ? 'Valid phone number is required' : 'Valid email address is required'
+      });
+    }
+
+    const suppression = await Suppression.suppress({
+      userId,
+      channel,
+      value,
+      reason,
+      source: 'manual',
+      note,
+      createdBy: req.user._id
+    });
+
+    logger.info(`Suppression added: ${suppression.value} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Suppression added successfully',
+      data: { suppression }
+    });
+  } catch (error) {
+    logger.error('Create suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/suppressions/:id
+// @desc    Remove an entry from the suppression list
+// @access  Private
+router.delete('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid suppression ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Users may remove their own entries; admins may also remove system-wide ones
+    const owners = req.user.role === 'admin' ? [req.user._id, null] : [req.user._id];
+    const suppression = await Suppression.findOneAndDelete({
+      _id: req.params.id,
+      userId: { $in: owners }
+    });
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suppression not found'
+      });
+    }
+
+    logger.info(`Suppression removed: ${suppression.value} by user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Suppression removed successfully'
+    });
+  } catch (error) {
+    logger.error('Delete suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { protect } from '../middleware/auth.js';
 import EmailTemplate from '../models/EmailTemplate.js';
+import Contact from '../models/Contact.js';
+import campaignService from '../services/campaignService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -239,11 +241,13 @@ router.delete('/:id', protect, [
 });
 
 // @route   POST /api/templates/:id/render
-// @desc    Render template with variables
+// @desc    Render template with variables, optionally filled from a contact
+//          (contact fields and custom fields); explicit variables take precedence
 // @access  Private
 router.post('/:id/render', protect, [
   param('id').isMongoId().withMessage('Invalid template ID'),
-  body('variables').isObject().withMessage('Variables must be an object')
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('contactId').optional().isMongoId().withMessage('Invalid contact ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -267,7 +271,19 @@ router.post('/:id/render', protect, [
       });
     }
 
-    const rendered = template.render(req.body.variables || {});
+    let contactVariables = {};
+    if (req.body.contactId) {
+      const contact = await Contact.findOne({ _id: req.body.contactId, userId: req.user.id });
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+      contactVariables = campaignService.buildVariables(contact);
+    }
+
+    const rendered = template.render({ ...contactVariables, ...(req.body.variables || {}) });
 
     res.json({
       success: true,
@@ -4,6 +4,8 @@ import fs from 'fs';
 import XLSX from 'xlsx';
 import { protect } from '../middleware/auth.js';
 import Contact from '../models/Contact.js';
+import CustomFieldDefinition from '../models/CustomFieldDefinition.js';
+import customFieldService from '../services/customFieldService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -100,7 +102,8 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
       if (ext === 'xlsx' || ext === 'xls') {
         // Parse Excel
         logger.info('Parsing Excel file');
-        const workbook = XLSX.readFile(filePath);
+        // Date cells as Dates rather than serial numbers, for date custom fields
+        const workbook = XLSX.readFile(filePath, { cellDates: true });
         const sheetName = workbook.SheetNames[0];
         const sheet = workbook.Sheets[sheetName];
         data = XLSX.utils.sheet_to_json(sheet);
@@ -184,6 +187,8 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
 
       if (ext === 'xlsx' || ext === 'xls' || ext === 'csv') {
         const seenEmails = new Set();
+        // Custom field columns are matched by key or label
+        const definitions = await CustomFieldDefinition.getForUser(req.user.id);
         
         for (let i = 0; i < data.length; i++) {
           const row = data[i];
@@ -223,6 +228,25 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
           }
           seenEmails.add(email.toLowerCase());
 
+          const rowFields = {};
+          for (const definition of definitions.values()) {
+            const value = normalizedRow[definition.key.toLowerCase()] ?? normalizedRow[definition.label.toLowerCase()];
+            if (value !== undefined) {
+              rowFields[definition.key] = value;
+            }
+          }
+
+          let customFields;
+          try {
+            customFields = await customFieldService.prepare(req.user.id, rowFields, { definitions });
+          } catch (fieldError) {
+            if (!fieldError.statusCode) {
+              throw fieldError;
+            }
+            fieldError.errors.forEach(error => errors.push(`Row ${rowNumber}: ${error.msg}`));
+            continue;
+          }
+
           // Create clean contact object
           const contact = {
             name: name.toString().trim(),
@@ -233,6 +257,7 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
             website: (normalizedRow.website || row.Website || row.website || '').toString().trim(),
             location: (normalizedRow.location || row.Location || row.location || '').toString().trim(),
             tags: (normalizedRow.tags || row.Tags || row.tags || '').toString().trim().split(',').map(tag => tag.trim()).filter(tag => tag),
+            customFields,
             userId: req.user.id,
             source: 'import',
             importedAt: new Date()
@@ -357,10 +382,13 @@ router.post('/', protect, upload.single('file'), async (req, res) => {
 // @access  Private
 router.get('/template', protect, async (req, res) => {
   try {
+    // One extra column per custom field, left empty in the example rows
+    const definitions = [...(await CustomFieldDefinition.getForUser(req.user.id)).values()];
+    const blanks = definitions.map(() => '');
     const templateData = [
-      ['Name', 'Email', 'Phone', 'Company', 'Position', 'Tags'],
-      ['John Doe', 'john@example.com', '+1234567890', 'Acme Corp', 'Manager', 'lead,prospect'],
-      ['Jane Smith', 'jane@example.com', '+1234567891', 'Tech Inc', 'Director', 'customer'],
+      ['Name', 'Email', 'Phone', 'Company', 'Position', 'Tags', ...definitions.map(definition => definition.label)],
+      ['John Doe', 'john@example.com', '+1234567890', 'Acme Corp', 'Manager', 'lead,prospect', ...blanks],
+      ['Jane Smith', 'jane@example.com', '+1234567891', 'Tech Inc', 'Director', 'customer', ...blanks],
     ];
 
     // Convert to CSV
@@ -1,49 +1,36 @@
 import emailService from '../services/emailService.js';
+import { getProvider } from '../services/emailProviders/index.js';
 
 async function checkMailjetConfiguration() {
   console.log('🔍 Checking Mailjet Configuration...');
   console.log('='.repeat(50));
   
+  const status = emailService.getProviderStatus();
+  console.log('📧 Provider chain:', status.chain.join(' -> ') || 'none');
+  
   // Check if Mailjet is configured
-  if (!emailService.mailjet) {
+  const mailjet = status.providers.find(provider => provider.name === 'mailjet');
+  if (!mailjet || !mailjet.configured) {
     console.log('❌ Mailjet is not configured!');
-    console.log('🔧 Fix: Check emailService.js configuration');
+    console.log('🔑 API Key:', process.env.MAILJET_API_KEY ? 'Set' : 'Missing');
+    console.log('🔐 API Secret:', process.env.MAILJET_API_SECRET ? 'Set' : 'Missing');
+    console.log('🔧 Fix: Set MAILJET_API_KEY and MAILJET_API_SECRET in your environment');
     return false;
   }
   
   console.log('✅ Mailjet is configured');
   
-  // Check API credentials
-  const apiKey = emailService.mailjet.apiKey;
-  const apiSecret = emailService.mailjet.apiSecret;
-  
-  console.log('🔑 API Key:', apiKey ? 'Set' : 'Missing');
-  console.log('🔐 API Secret:', apiSecret ? 'Set' : 'Missing');
-  
-  // Check if using default/test credentials
-  if (apiKey === '77f88844f6df9fce5cb22b9e26e99208') {
-    console.log('⚠️  WARNING: Using default Mailjet API key!');
-    console.log('🔧 This is likely a test/placeholder key that won\'t work');
-    console.log('📝 You need to update this with your actual Mailjet API credentials');
-    console.log('🌐 Get your credentials from: https://app.mailjet.com/account/api_keys');
-    return false;
-  }
-  
-  if (apiSecret === '8305269ebd5a9d920e7cc128a7e86b62') {
-    console.log('⚠️  WARNING: Using default Mailjet API secret!');
-    console.log('🔧 This is likely a test/placeholder secret that won\'t work');
-    console.log('📝 You need to update this with your actual Mailjet API secret');
-    return false;
+  if (!status.chain.includes('mailjet')) {
+    console.log('⚠️  WARNING: Mailjet is not in the provider chain!');
+    console.log('🔧 Set EMAIL_PROVIDER=mailjet or add mailjet to EMAIL_FAILOVER to send through it');
   }
   
-  console.log('✅ API credentials appear to be custom (not default)');
-  
   // Test Mailjet connection
   try {
     console.log('\n🧪 Testing Mailjet connection...');
     
     // Try to make a simple API call to test credentials
-    const testRequest = emailService.mailjet.get('user');
+    const testRequest = getProvider('mailjet').getClient().get('user');
     const result = await testRequest.request();
     
     console.log('✅ Mailjet connection successful!');
@@ -93,10 +80,9 @@ async function provideMailjetSetupInstructions() {
   console.log('   • Copy your API Key and Secret Key');
   console.log('   • Note: These are different from the default values in your code');
   
-  console.log('\n3️⃣ Update Your Code:');
-  console.log('   • Edit backend/services/emailService.js');
-  console.log('   • Replace the hardcoded API key and secret');
-  console.log('   • Or better yet, use environment variables');
+  console.log('\n3️⃣ Update Your Environment:');
+  console.log('   • Set MAILJET_API_KEY and MAILJET_API_SECRET in backend/.env');
+  console.log('   • Set EMAIL_PROVIDER=mailjet (the default) or list mailjet in EMAIL_FAILOVER');
   
   console.log('\n4️⃣ Verify Sender Email:');
   console.log('   • Go to https://app.mailjet.com/account/sender');
@@ -10,25 +10,23 @@ async function debugEmailService() {
   
   // 1. Check email service initialization
   console.log('\n1️⃣ Email Service Initialization:');
-  console.log('📧 Mailjet configured:', emailService.mailjet ? '✅ Yes' : '❌ No');
-  console.log('📧 SMTP fallback configured:', emailService.transporter ? '✅ Yes' : '❌ No');
+  const status = emailService.getProviderStatus();
+  for (const provider of status.providers) {
+    console.log(`📧 ${provider.name} configured:`, provider.configured ? '✅ Yes' : '❌ No');
+  }
   
-  if (!emailService.mailjet && !emailService.transporter) {
+  const chain = emailService.getProviderChain();
+  if (chain.length === 0) {
     console.log('❌ CRITICAL: No email service is configured!');
-    console.log('🔧 Fix: Check your Mailjet API credentials in emailService.js');
+    console.log('🔧 Fix: Configure EMAIL_PROVIDER and its credentials in your environment');
     return false;
   }
   
-  // 2. Check Mailjet configuration
-  if (emailService.mailjet) {
-    console.log('\n2️⃣ Mailjet Configuration:');
-    console.log('🔑 API Key:', emailService.mailjet.apiKey ? '✅ Set' : '❌ Missing');
-    console.log('🔐 API Secret:', emailService.mailjet.apiSecret ? '✅ Set' : '❌ Missing');
-    
-    // Check if credentials are the default/test values
-    if (emailService.mailjet.apiKey === '77f88844f6df9fce5cb22b9e26e99208') {
-      console.log('⚠️  WARNING: Using default Mailjet API key - this may not work!');
-    }
+  // 2. Check which providers will be tried
+  console.log('\n2️⃣ Provider Chain:');
+  console.log('🔗 Sending through:', chain.map(provider => provider.name).join(' -> '));
+  if (chain[0].name !== status.default) {
+    console.log(`⚠️  WARNING: Default provider ${status.default} is not configured - falling back to ${chain[0].name}`);
   }
   
   // 3. Test email sending
@@ -66,13 +64,13 @@ async function debugEmailService() {
               
               <p style="color: #666; font-size: 14px; margin-bottom: 0;">
                 <strong>Timestamp:</strong> ${new Date().toLocaleString()}<br>
-                <strong>Provider:</strong> ${emailService.mailjet ? 'Mailjet' : 'SMTP'}<br>
+                <strong>Provider:</strong> ${chain[0].name}<br>
                 <strong>Status:</strong> Delivered Successfully
               </p>
             </div>
           </div>
         `,
-        text: `Email Service Test\n\nThis is a test email to verify that your email service is working correctly.\n\n✅ Success! Email service is working correctly.\n\nTimestamp: ${new Date().toLocaleString()}\nProvider: ${emailService.mailjet ? 'Mailjet' : 'SMTP'}\nStatus: Delivered Successfully`
+        text: `Email Service Test\n\nThis is a test email to verify that your email service is working correctly.\n\n✅ Success! Email service is working correctly.\n\nTimestamp: ${new Date().toLocaleString()}\nProvider: ${chain[0].name}\nStatus: Delivered Successfully`
       },
       from: {
         email: 'oloogeorge633@gmail.com',
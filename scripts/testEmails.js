@@ -329,7 +329,8 @@ async function testTemplateEmail() {
 
 async function runAllTests() {
   console.log('🚀 Starting Email Service Tests...');
-  console.log('📧 Testing with Mailjet API...');
+  console.log(`📧 Testing with provider chain: ${emailService.getProviderChain().map(p => p.name).join(' -> ')}`);
+  console.log('💡 Run with EMAIL_PROVIDER=file to capture emails locally and browse them at GET /api/dev/mailbox');
   console.log('⚠️  Make sure to update TEST_EMAILS with your actual email addresses!');
   
   const results = {
@@ -124,15 +124,18 @@ async function testEmailServiceConnection() {
   
   try {
     // Test if email service is properly initialized
-    console.log('📧 Email service status:', emailService.mailjet ? 'Mailjet configured' : 'Mailjet not configured');
-    console.log('📧 SMTP fallback status:', emailService.transporter ? 'SMTP configured' : 'SMTP not configured');
+    const { providers } = emailService.getProviderStatus();
+    for (const provider of providers) {
+      console.log(`📧 ${provider.name} status:`, provider.configured ? 'configured' : 'not configured');
+    }
     
-    if (!emailService.mailjet && !emailService.transporter) {
+    const chain = emailService.getProviderChain();
+    if (chain.length === 0) {
       console.log('❌ No email service configured!');
       return false;
     }
     
-    console.log('✅ Email service is configured');
+    console.log('✅ Email service is configured:', chain.map(provider => provider.name).join(' -> '));
     return true;
     
   } catch (error) {
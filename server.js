@@ -32,10 +32,18 @@ import campaignRoutes from "./routes/campaigns.js";
 import templateRoutes from "./routes/templates.js";
 import contactGroupRoutes from "./routes/contact-groups.js";
 import contactRoutes from "./routes/contacts.js";
+import customFieldRoutes from "./routes/custom-fields.js";
+import suppressionRoutes from "./routes/suppressions.js";
+import publicRoutes from "./routes/public.js";
+import shortLinkRoutes from "./routes/shortLinks.js";
+import devRoutes from "./routes/dev.js";
 
 // Import middleware
 import errorHandler from "./middleware/errorHandler.js";
 import logger from "./utils/logger.js";
+import scheduler from "./services/schedulerService.js";
+import queueService from "./services/queueService.js";
+import { isSigningConfigured } from "./utils/signedTokens.js";
 
 // Security middleware
 app.use(helmet());
@@ -99,6 +107,17 @@ app.use("/api/campaigns", campaignRoutes);
 app.use("/api/templates", templateRoutes);
 app.use("/api/contact-groups", contactGroupRoutes);
 app.use("/api/contacts", contactRoutes);
+app.use("/api/custom-fields", customFieldRoutes);
+app.use("/api/suppressions", suppressionRoutes);
+app.use("/api/public", publicRoutes);
+
+// SMS short links live outside /api to keep them short
+app.use("/s", shortLinkRoutes);
+
+// Local mail/SMS sink inspection: admins only, opt-in, and never in production
+if (process.env.ENABLE_DEV_ROUTES === "true" && process.env.NODE_ENV !== "production") {
+  app.use("/api/dev", devRoutes);
+}
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -122,6 +141,11 @@ mongoose
   )
   .then(() => {
     logger.info("Connected to MongoDB");
+    if (!isSigningConfigured()) {
+      logger.error("LINK_SIGNING_SECRET is not set: emails needing unsubscribe or tracking links will fail and existing links are rejected");
+    }
+    scheduler.start();
+    queueService.start();
   })
   .catch((error) => {
     logger.error("MongoDB connection error:", error);
@@ -129,16 +153,20 @@ mongoose
   });
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
+  scheduler.stop();
+  await queueService.stop();
   mongoose.connection.close(() => {
     logger.info("MongoDB connection closed");
     process.exit(0);
   });
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully");
+  scheduler.stop();
+  await queueService.stop();
   mongoose.connection.close(() => {
     logger.info("MongoDB connection closed");
     process.exit(0);
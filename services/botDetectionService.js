@@ -0,0 +1,155 @@
+import fs from 'fs';
+import net from 'net';
+import EmailEvent from '../models/EmailEvent.js';
+import logger from '../utils/logger.js';
+
+export const CLASSIFICATIONS = ['human', 'machine-open', 'prefetch', 'scanner'];
+
+const DEFAULT_TIMING = {
+  openAfterDeliveryMs: 1000,
+  clickAfterDeliveryMs: 1000,
+  burstClicks: 3,
+  burstWindowMs: 2000
+};
+
+// Classifies email opens and clicks so security scanners, link previews and
+// privacy proxies can be told apart from people reading the message
+class BotDetectionService {
+  constructor() {
+    this.file = process.env.BOT_SIGNATURES_FILE || 'data/botSignatures.json';
+    this.load();
+  }
+
+  load() {
+    this.userAgents = [];
+    this.ipRanges = [];
+    this.timing = { ...DEFAULT_TIMING };
+
+    let signatures;
+    try {
+      signatures = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.warn(`Bot signatures not loaded from ${this.file}: ${error.message}`);
+      return;
+    }
+
+    for (const rule of signatures.userAgents || []) {
+      try {
+        this.userAgents.push({ ...rule, regex: new RegExp(rule.pattern, 'i') });
+      } catch (error) {
+        logger.warn(`Skipping invalid bot user agent pattern ${rule.pattern}: ${error.message}`);
+      }
+    }
+
+    for (const rule of signatures.ipRanges || []) {
+      const [address, prefix] = String(rule.cidr).split('/');
+      const family = net.isIP(address);
+      if (!family || prefix === undefined) {
+        logger.warn(`Skipping invalid bot IP range ${rule.cidr}`);
+        continue;
+      }
+
+      const list = new net.BlockList();
+      list.addSubnet(address, parseInt(prefix), family === 6 ? 'ipv6' : 'ipv4');
+      this.ipRanges.push({ ...rule, list, family });
+    }
+
+    this.timing = { ...DEFAULT_TIMING, ...(signatures.timing || {}) };
+  }
+
+  // A click cannot come from a "machine open", so proxies that only fetch images count as scanners there
+  forType(type, classification) {
+    return type === 'click' && classification === 'machine-open' ? 'scanner' : classification;
+  }
+
+  matchUserAgent(userAgent) {
+    return this.userAgents.find(rule => rule.regex.test(userAgent)) || null;
+  }
+
+  matchIp(ip) {
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip ? ip.replace(/^::ffff:/, '') : null;
+    const family = net.isIP(address);
+    if (!family) {
+      return null;
+    }
+
+    return this.ipRanges.find(rule => rule.family === family && rule.list.check(address, family === 6 ? 'ipv6' : 'ipv4')) || null;
+  }
+
+  // What the classifier needs to know about an incoming tracking request
+  requestDetails(req) {
+    // Browsers and mail clients announce speculative fetches in one of these headers
+    const purpose = [req.get('sec-purpose'), req.get('purpose'), req.get('x-purpose'), req.get('x-moz')]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip || null,
+      prefetch: /prefetch|preview/i.test(purpose)
+    };
+  }
+
+  // Classification from the request alone (user agent, prefetch headers, IP range),
+  // or null when nothing about the request looks automated
+  classifyRequest(event) {
+    const result = (classification, reason) => ({ classification: this.forType(event.type, classification), reason });
+
+    if (!event.userAgent) {
+      return result(event.type === 'click' ? 'scanner' : 'machine-open', 'No user agent');
+    }
+
+    if (event.prefetch) {
+      return result('prefetch', 'Prefetch request');
+    }
+
+    const agentRule = this.matchUserAgent(event.userAgent);
+    if (agentRule) {
+      return result(agentRule.classification, `User agent: ${agentRule.name}`);
+    }
+
+    const ipRule = this.matchIp(event.ip);
+    if (ipRule) {
+      return result(ipRule.classification, `IP range: ${ipRule.name}`);
+    }
+
+    return null;
+  }
+
+  // Returns { classification, reason } for an open or click on the given email
+  async classify(email, event) {
+    const result = (classification, reason) => ({ classification: this.forType(event.type, classification), reason });
+
+    const fromRequest = this.classifyRequest(event);
+    if (fromRequest) {
+      return fromRequest;
+    }
+
+    // Nobody reads or clicks within a second of the message arriving
+    const deliveredAt = email.deliveredAt || email.sentAt;
+    if (deliveredAt) {
+      const elapsed = event.occurredAt - deliveredAt;
+      const limit = event.type === 'click' ? this.timing.clickAfterDeliveryMs : this.timing.openAfterDeliveryMs;
+      if (elapsed >= 0 && elapsed < limit) {
+        return result(event.type === 'click' ? 'scanner' : 'machine-open', `${event.type === 'click' ? 'Clicked' : 'Opened'} ${elapsed}ms after delivery`);
+      }
+    }
+
+    // Scanners follow every link in a message at once
+    if (event.type === 'click' && this.timing.burstClicks > 1) {
+      const recent = await EmailEvent.countDocuments({
+        emailId: email._id,
+        type: 'click',
+        occurredAt: { $gte: new Date(event.occurredAt - this.timing.burstWindowMs), $lte: event.occurredAt }
+      });
+      if (recent + 1 >= this.timing.burstClicks) {
+        return result('scanner', `${recent + 1} clicks within ${this.timing.burstWindowMs}ms`);
+      }
+    }
+
+    return result('human', null);
+  }
+}
+
+export default new BotDetectionService();
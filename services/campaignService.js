@@ -0,0 +1,920 @@
+import Campaign from '../models/Campaign.js';
+import Contact from '../models/Contact.js';
+import ContactGroup from '../models/ContactGroup.js';
+import Email from '../models/Email.js';
+import EmailEvent from '../models/EmailEvent.js';
+import Quota from '../models/Quota.js';
+import SMS from '../models/SMS.js';
+import User from '../models/User.js';
+import Suppression from '../models/Suppression.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import preferenceService from './preferenceService.js';
+import trackingService from './trackingService.js';
+import shortLinkService from './shortLinkService.js';
+import segmentService from './segmentService.js';
+import customFieldService from './customFieldService.js';
+import { normalizePhone, isValidPhone } from '../utils/phone.js';
+import { resolveUtmSettings, renderUtmParams, utmVariables } from '../utils/utm.js';
+import { countSegments } from '../utils/smsEncoding.js';
+import logger from '../utils/logger.js';
+
+// Whole <a ...>...</a> elements; group 3 is the href
+const ANCHOR_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\2[^>]*>)([\s\S]*?)(<\/a>)/gi;
+
+class CampaignService {
+  constructor() {
+    this.batchSize = 50; // Recipients sent per batch
+    this.batchDelay = 1000; // Delay between batches (ms) to avoid overwhelming the email provider
+    this.active = new Map(); // campaignId -> running dispatch promise
+    this.staleAfterMs = 10 * 60 * 1000; // A sending campaign without a heartbeat for this long is resumed
+  }
+
+  // Per-recipient message model and quota type for the campaign's channel
+  channelOf(campaign) {
+    return campaign.channel === 'sms'
+      ? { model: SMS, quotaType: 'sms' }
+      : { model: Email, quotaType: 'email' };
+  }
+
+  // Quota needed to send to these contacts: one per email, one per segment of each
+  // personalised SMS after its links are shortened or tagged the way sendSmsToContact will
+  async quotaUnitsFor(campaign, contacts) {
+    if (campaign.channel !== 'sms') {
+      return contacts.length;
+    }
+
+    const utm = await this.getUtmSettings(campaign);
+    let total = 0;
+
+    for (const contact of contacts) {
+      const message = await shortLinkService.previewMessage(
+        smsService.replaceVariables(campaign.message, this.buildVariables(contact)),
+        {
+          shorten: campaign.shortenLinks !== false,
+          utm: renderUtmParams(utm, utmVariables(campaign, contact))
+        }
+      );
+      total += countSegments(message);
+    }
+
+    return total;
+  }
+
+  // Quota already used by the messages a campaign has created
+  async quotaUnitsUsed(campaign) {
+    const { model } = this.channelOf(campaign);
+    if (campaign.channel !== 'sms') {
+      return model.countDocuments({ 'metadata.campaignId': campaign._id });
+    }
+
+    const [stats] = await model.getCampaignStats(campaign._id);
+    return stats ? stats.totalSegments : 0;
+  }
+
+  // Expand direct recipients and contact groups into a de-duplicated list of active contacts,
+  // leaving out anyone who opted out of the campaign's topic or of every targeted group they are in.
+  // Dynamic segments are evaluated here, so they reflect contacts as of the send.
+  async resolveRecipients(campaign) {
+    const contactIds = new Set(campaign.recipients.map(id => id.toString()));
+    const memberships = new Map(); // contactId -> targeted groups the contact belongs to
+
+    if (campaign.contactGroups && campaign.contactGroups.length > 0) {
+      const groups = await ContactGroup.find({
+        _id: { $in: campaign.contactGroups },
+        userId: campaign.userId
+      }).select('contacts isDynamic rules userId');
+
+      for (const group of groups) {
+        const members = group.isDynamic ? await segmentService.resolveIds(group) : group.contacts;
+        members.forEach(id => {
+          contactIds.add(id.toString());
+          memberships.set(id.toString(), [...(memberships.get(id.toString()) || []), group._id.toString()]);
+        });
+      }
+    }
+
+    const contacts = await Contact.find({
+      _id: { $in: [...contactIds] },
+      userId: campaign.userId,
+      status: 'active'
+    }).sort({ _id: 1 });
+
+    return contacts.filter(contact => {
+      // SMS campaigns can only reach contacts with a usable phone number
+      if (campaign.channel === 'sms' && !isValidPhone(contact.phone)) {
+        return false;
+      }
+
+      if (campaign.topic && (contact.unsubscribedTopics || []).includes(campaign.topic)) {
+        return false;
+      }
+
+      const groups = memberships.get(contact._id.toString());
+      const optedOut = new Set((contact.unsubscribedGroups || []).map(id => id.toString()));
+      return !groups || !groups.every(id => optedOut.has(id));
+    });
+  }
+
+  addressOf(campaign, contact) {
+    return campaign.channel === 'sms' ? normalizePhone(contact.phone) : contact.email;
+  }
+
+  // Split contacts into those we may message and those on the user's or the system suppression list
+  async partitionSuppressed(campaign, contacts) {
+    const channel = campaign.channel === 'sms' ? 'sms' : 'email';
+    const suppressed = await Suppression.findSuppressed(
+      campaign.userId,
+      channel,
+      contacts.map(contact => this.addressOf(campaign, contact))
+    );
+
+    const allowed = [];
+    const skipped = [];
+    for (const contact of contacts) {
+      const reason = suppressed.get(Suppression.normalizeValue(channel, this.addressOf(campaign, contact)));
+      if (reason) {
+        skipped.push({ contactId: contact._id, to: this.addressOf(campaign, contact), reason });
+      } else {
+        allowed.push(contact);
+      }
+    }
+
+    return { allowed, skipped };
+  }
+
+  buildVariables(contact) {
+    const variables = {
+      name: contact.name,
+      firstName: contact.name ? contact.name.split(' ')[0] : '',
+      email: contact.email,
+      phone: contact.phone || '',
+      company: contact.company || '',
+      position: contact.position || '',
+      location: contact.location || '',
+      website: contact.website || ''
+    };
+
+    if (contact.customFields) {
+      for (const [key, value] of contact.customFields) {
+        if (variables[key] === undefined) {
+          variables[key] = customFieldService.formatValue(value);
+        }
+      }
+    }
+
+    return variables;
+  }
+
+  renderForContact(campaign, contact, variantIndex = null) {
+    const variables = this.buildVariables(contact);
+    const source = variantIndex !== null && campaign.abTest.variants[variantIndex]
+      ? campaign.abTest.variants[variantIndex]
+      : campaign;
+
+    return {
+      subject: emailService.replaceVariables(source.subject, variables),
+      content: {
+        html: emailService.replaceVariables(source.content.html, variables),
+        text: emailService.replaceVariables(source.content.text || '', variables)
+      }
+    };
+  }
+
+  // Pick a random test slice of the recipients for an A/B test
+  planAbTest(campaign, contacts) {
+    const ids = contacts.map(contact => contact._id);
+
+    // Fisher-Yates shuffle so variants get an unbiased sample
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+
+    const { variants, testPercentage } = campaign.abTest;
+    const testSize = Math.min(ids.length, Math.max(variants.length, Math.ceil(ids.length * testPercentage / 100)));
+
+    return {
+      'abTest.phase': 'testing',
+      'abTest.testRecipients': ids.slice(0, testSize),
+      'abTest.decideAt': null,
+      'abTest.winnerVariant': null,
+      'abTest.winnerSelectedAt': null
+    };
+  }
+
+  // Work out who the current dispatch phase sends to and with which variant
+  buildSendPlan(campaign) {
+    const { abTest } = campaign;
+
+    if (!abTest || !abTest.enabled) {
+      return { phase: null, contactIds: campaign.recipients, variantOf: () => null };
+    }
+
+    if (abTest.phase === 'testing') {
+      const variants = new Map(
+        abTest.testRecipients.map((id, index) => [id.toString(), index % abTest.variants.length])
+      );
+      return { phase: 'test', contactIds: abTest.testRecipients, variantOf: id => variants.get(id.toString()) };
+    }
+
+    if (abTest.phase === 'final') {
+      const tested = new Set(abTest.testRecipients.map(id => id.toString()));
+      return {
+        phase: 'winner',
+        contactIds: campaign.recipients.filter(id => !tested.has(id.toString())),
+        variantOf: () => abTest.winnerVariant
+      };
+    }
+
+    // Waiting for (or deciding) the winner: nothing to send yet
+    return null;
+  }
+
+  campaignError(message, statusCode, name = 'CampaignError') {
+    const error = new Error(message);
+    error.name = name;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Resolve recipients, reserve quota and move a draft/scheduled campaign to sending.
+  // The status change is atomic so concurrent requests or workers can't both launch it.
+  async launch(campaign) {
+    const { allowed: contacts, skipped } = await this.partitionSuppressed(campaign, await this.resolveRecipients(campaign));
+
+    if (contacts.length === 0) {
+      throw this.campaignError(
+        skipped.length > 0 ? `No valid recipients found (${skipped.length} suppressed)` : 'No valid recipients found',
+        400
+      );
+    }
+
+    const { quotaType } = this.channelOf(campaign);
+    const quota = await Quota.findOne({ userId: campaign.userId });
+    if (!quota) {
+      throw this.campaignError('Quota not found', 404);
+    }
+
+    const quotaUnits = await this.quotaUnitsFor(campaign, contacts);
+    if (!quota.hasQuotaAvailable(quotaType, quotaUnits)) {
+      throw this.campaignError(quotaType === 'sms' ? 'SMS quota exceeded' : 'Email quota exceeded', 429, 'QuotaExceededError');
+    }
+
+    const update = {
+      status: 'sending',
+      recipients: contacts.map(contact => contact._id),
+      'stats.totalRecipients': contacts.length,
+      'stats.suppressed': skipped.length,
+      'delivery.startedAt': new Date(),
+      'delivery.heartbeatAt': new Date(),
+      'delivery.quotaReserved': quotaUnits
+    };
+
+    if (campaign.abTest && campaign.abTest.enabled) {
+      Object.assign(update, this.planAbTest(campaign, contacts));
+    }
+
+    const claimed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: ['draft', 'scheduled'] } },
+      update,
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw this.campaignError('Campaign cannot be sent in current status', 400);
+    }
+
+    await quota.consumeQuota(quotaType, quotaUnits);
+
+    // Deliver in the background; progress is reflected in campaign stats
+    this.start(claimed._id);
+    logger.info(`Campaign ${claimed.name} dispatch started for ${contacts.length} recipients (${skipped.length} suppressed)`);
+
+    return { campaign: claimed, skipped };
+  }
+
+  // Stop a sending campaign after its current batch; sent recipients are remembered
+  async pause(campaign) {
+    const paused = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      { status: 'paused', 'delivery.pausedAt': new Date() },
+      { new: true }
+    );
+
+    if (!paused) {
+      throw this.campaignError('Only a sending campaign can be paused', 400);
+    }
+
+    logger.info(`Campaign ${paused.name} paused after ${paused.processedRecipients} recipients`);
+    return paused;
+  }
+
+  // Continue a paused campaign from where it stopped
+  async resume(campaign) {
+    const resumed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'paused' },
+      { status: 'sending', 'delivery.resumedAt': new Date(), 'delivery.heartbeatAt': new Date() },
+      { new: true }
+    );
+
+    if (!resumed) {
+      throw this.campaignError('Only a paused campaign can be resumed', 400);
+    }
+
+    this.start(resumed._id);
+    logger.info(`Campaign ${resumed.name} resumed`);
+    return resumed;
+  }
+
+  // Cancel a campaign and refund the quota reserved for recipients that were never sent to.
+  // A dispatch on another instance may still finish its current batch; it settles again when it stops.
+  async cancel(campaign) {
+    const cancelled = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: ['scheduled', 'sending', 'paused'] } },
+      { status: 'cancelled', 'delivery.cancelledAt': new Date() },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw this.campaignError('Campaign cannot be cancelled in current status', 400);
+    }
+
+    // Let a local dispatch finish its in-flight batch so the processed count is final
+    if (this.isRunning(cancelled._id)) {
+      await this.active.get(cancelled._id.toString());
+    }
+
+    const refunded = await this.settleQuota(cancelled._id);
+    cancelled.delivery.quotaRefunded = refunded;
+
+    logger.info(`Campaign ${cancelled.name} cancelled, ${refunded} ${this.channelOf(cancelled).quotaType} quota refunded`);
+    return { campaign: cancelled, refunded };
+  }
+
+  // Make the refunded quota match what the campaign left unused: refund what was never sent, or
+  // charge for what was used beyond the reservation, e.g. by a batch still in flight after a refund.
+  // The adjustment only applies if nobody settled in between, so concurrent callers can't refund
+  // the same units twice. Returns the campaign's total refund (negative when it was charged extra).
+  // Runs when a campaign is cancelled or finishes sending.
+  async settleQuota(campaignId) {
+    const campaign = await Campaign.findById(campaignId).select('name userId channel delivery');
+    if (!campaign) {
+      return 0;
+    }
+
+    const { quotaType } = this.channelOf(campaign);
+    const { quotaReserved, quotaRefunded } = campaign.delivery;
+    const unused = quotaReserved - await this.quotaUnitsUsed(campaign);
+    const adjustment = unused - quotaRefunded;
+
+    if (adjustment === 0) {
+      return quotaRefunded;
+    }
+
+    const settled = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'delivery.quotaRefunded': quotaRefunded },
+      { $inc: { 'delivery.quotaRefunded': adjustment } },
+      { new: true }
+    );
+
+    if (!settled) {
+      // Settled concurrently; read back the result
+      return this.settleQuota(campaignId);
+    }
+
+    const quota = await Quota.findOne({ userId: campaign.userId });
+    if (quota) {
+      if (adjustment > 0) {
+        await quota.refundQuota(quotaType, adjustment);
+      } else {
+        await quota.chargeQuota(quotaType, -adjustment);
+        logger.warn(`Campaign ${campaign.name} used ${-adjustment} more ${quotaType} quota than it had left reserved`);
+      }
+    }
+
+    return settled.delivery.quotaRefunded;
+  }
+
+  // Launch scheduled campaigns whose send time has passed
+  async startScheduledCampaigns(limit = 10) {
+    const due = await Campaign.find({
+      status: 'scheduled',
+      scheduledAt: { $lte: new Date() }
+    }).sort({ scheduledAt: 1 }).limit(limit);
+
+    const results = [];
+
+    for (const campaign of due) {
+      try {
+        await this.launch(campaign);
+        results.push({ campaign: campaign._id, success: true });
+      } catch (error) {
+        // Another worker got there first; nothing to record
+        if (error.statusCode === 400 && error.message === 'Campaign cannot be sent in current status') {
+          continue;
+        }
+
+        // Database or network trouble: stay scheduled so the next tick retries
+        if (!error.statusCode) {
+          logger.error(`Scheduled campaign ${campaign.name} could not be started, will retry:`, error);
+          results.push({ campaign: campaign._id, success: false, error: error.message });
+          continue;
+        }
+
+        // No recipients or no quota won't fix itself; return to draft so it isn't retried every tick
+        await Campaign.updateOne(
+          { _id: campaign._id, status: 'scheduled' },
+          { status: 'draft', 'metadata.scheduleError': error.message }
+        );
+        logger.warn(`Scheduled campaign ${campaign.name} could not be started: ${error.message}`);
+        results.push({ campaign: campaign._id, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Restart dispatches that stopped without finishing, e.g. because the process restarted
+  // mid-send. Campaigns waiting for an A/B winner have no dispatch to resume.
+  async resumeStalledCampaigns(limit = 10) {
+    const stalled = () => {
+      const staleBefore = new Date(Date.now() - this.staleAfterMs);
+      return {
+        status: 'sending',
+        'abTest.phase': { $nin: ['waiting', 'deciding'] },
+        $or: [
+          { 'delivery.heartbeatAt': { $lt: staleBefore } },
+          { 'delivery.heartbeatAt': null, 'delivery.startedAt': { $lt: staleBefore } }
+        ]
+      };
+    };
+
+    const candidates = await Campaign.find(stalled()).select('_id name').limit(limit);
+    const results = [];
+
+    for (const campaign of candidates) {
+      if (this.isRunning(campaign._id)) {
+        continue;
+      }
+
+      // Take over atomically so only one worker resumes each campaign
+      const claimed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, ...stalled() },
+        { 'delivery.heartbeatAt': new Date() }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      logger.warn(`Campaign ${campaign.name} dispatch stalled, resuming`);
+      this.start(campaign._id);
+      results.push({ campaign: campaign._id, success: true });
+    }
+
+    return results;
+  }
+
+  // Choose the best variant by open or click rate over the test slice
+  async pickWinner(campaign) {
+    const results = await this.getVariantResults(campaign);
+    const key = campaign.abTest.winnerCriteria === 'click_rate' ? 'clickRate' : 'openRate';
+
+    // Ties go to the earlier variant
+    return results.reduce((best, variant) => (variant[key] > best[key] ? variant : best), results[0]).index;
+  }
+
+  // Pick winners for A/B tests whose wait time is over and send the rest of the audience
+  async decideAbTests(limit = 10) {
+    const results = [];
+
+    for (let i = 0; i < limit; i++) {
+      // Claim atomically so only one worker decides each test
+      const campaign = await Campaign.findOneAndUpdate(
+        {
+          status: 'sending',
+          'abTest.enabled': true,
+          'abTest.phase': 'waiting',
+          'abTest.decideAt': { $lte: new Date() }
+        },
+        { 'abTest.phase': 'deciding' },
+        { new: true }
+      );
+
+      if (!campaign) {
+        break;
+      }
+
+      try {
+        const winner = await this.pickWinner(campaign);
+
+        await Campaign.updateOne(
+          { _id: campaign._id },
+          {
+            'abTest.phase': 'final',
+            'abTest.winnerVariant': winner,
+            'abTest.winnerSelectedAt': new Date(),
+            'delivery.heartbeatAt': new Date()
+          }
+        );
+
+        logger.info(`Campaign ${campaign.name} A/B winner: variant ${campaign.abTest.variants[winner].name}`);
+        this.start(campaign._id);
+        results.push({ campaign: campaign._id, success: true, winner });
+      } catch (error) {
+        // Put it back so the next run retries
+        await Campaign.updateOne(
+          { _id: campaign._id, 'abTest.phase': 'deciding' },
+          { 'abTest.phase': 'waiting' }
+        );
+        logger.error(`A/B winner selection failed for campaign ${campaign.name}:`, error);
+        results.push({ campaign: campaign._id, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Per-variant results of the test slice
+  async getVariantResults(campaign) {
+    const stats = await Email.getVariantStats(campaign._id, 'test');
+    const byVariant = new Map(stats.map(stat => [stat._id, stat]));
+    const rate = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 100) / 100);
+
+    return campaign.abTest.variants.map((variant, index) => {
+      const stat = byVariant.get(index) || { sent: 0, failed: 0, opened: 0, clicked: 0, humanOpened: 0, humanClicked: 0 };
+
+      // Rates, and so the winner, count people only; machine opens and link scanners are in raw
+      return {
+        index,
+        name: variant.name,
+        subject: variant.subject,
+        sent: stat.sent,
+        failed: stat.failed,
+        opened: stat.humanOpened,
+        clicked: stat.humanClicked,
+        openRate: rate(stat.humanOpened, stat.sent),
+        clickRate: rate(stat.humanClicked, stat.sent),
+        raw: {
+          opened: stat.opened,
+          clicked: stat.clicked,
+          openRate: rate(stat.opened, stat.sent),
+          clickRate: rate(stat.clicked, stat.sent)
+        },
+        isWinner: campaign.abTest.winnerVariant === index
+      };
+    });
+  }
+
+  // Per-URL click results, including links in the content that were never clicked
+  async getLinkReport(campaign) {
+    const stats = await EmailEvent.getLinkStats(campaign._id);
+    const byUrl = new Map(stats.map(stat => [stat._id, stat]));
+    const rate = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 100) / 100);
+
+    const sources = [campaign.content.html];
+    if (campaign.abTest.enabled) {
+      sources.push(...campaign.abTest.variants.map(variant => variant.content.html));
+    }
+
+    const contentUrls = new Set();
+    for (const html of sources) {
+      for (const match of html.matchAll(ANCHOR_PATTERN)) {
+        const url = trackingService.trackableUrl(match[3]);
+        if (url) {
+          contentUrls.add(url);
+        }
+      }
+    }
+
+    const totalClicks = stats.reduce((total, stat) => total + stat.totalClicks, 0);
+    const urls = [...new Set([...byUrl.keys(), ...contentUrls])];
+
+    const links = urls.map(url => {
+      const stat = byUrl.get(url) || {
+        totalClicks: 0,
+        humanClicks: 0,
+        uniqueClickers: 0,
+        uniqueHumanClickers: 0,
+        firstClickAt: null,
+        lastClickAt: null
+      };
+
+      return {
+        url,
+        inContent: contentUrls.has(url),
+        totalClicks: stat.totalClicks,
+        uniqueClickers: stat.uniqueClickers,
+        clickShare: rate(stat.totalClicks, totalClicks),
+        clickToOpenRate: rate(stat.uniqueClickers, campaign.stats.opened),
+        filtered: {
+          totalClicks: stat.humanClicks,
+          uniqueClickers: stat.uniqueHumanClickers,
+          clickToOpenRate: rate(stat.uniqueHumanClickers, campaign.stats.humanOpened)
+        },
+        firstClickAt: stat.firstClickAt,
+        lastClickAt: stat.lastClickAt
+      };
+    }).sort((a, b) => b.totalClicks - a.totalClicks);
+
+    const byLink = new Map(links.map(link => [link.url, link]));
+
+    return {
+      totalClicks,
+      uniqueClickers: campaign.stats.clicked,
+      uniqueOpeners: campaign.stats.opened,
+      clickToOpenRate: rate(campaign.stats.clicked, campaign.stats.opened),
+      filtered: {
+        totalClicks: stats.reduce((total, stat) => total + stat.humanClicks, 0),
+        uniqueClickers: campaign.stats.humanClicked,
+        uniqueOpeners: campaign.stats.humanOpened,
+        clickToOpenRate: rate(campaign.stats.humanClicked, campaign.stats.humanOpened)
+      },
+      links,
+      html: this.annotateLinks(campaign.content.html, byLink),
+      variants: campaign.abTest.enabled
+        ? campaign.abTest.variants.map((variant, index) => ({
+          index,
+          name: variant.name,
+          html: this.annotateLinks(variant.content.html, byLink)
+        }))
+        : undefined
+    };
+  }
+
+  // Heatmap copy of the HTML: each tracked link is outlined and followed by its share of all clicks
+  annotateLinks(html, byLink) {
+    return html.replace(ANCHOR_PATTERN, (match, openTag, quote, href, inner, closeTag) => {
+      const link = byLink.get(trackingService.trackableUrl(href));
+      if (!link) {
+        return match;
+      }
+
+      const percent = Math.round(link.clickShare * 1000) / 10;
+      // Hotter links get a stronger red
+      const alpha = Math.max(0.15, link.clickShare).toFixed(2);
+      const title = `${link.totalClicks} clicks, ${link.uniqueClickers} unique, ${Math.round(link.clickToOpenRate * 1000) / 10}% click-to-open`;
+
+      return `<span data-link-url="${href.replace(/"/g, '&quot;')}" data-clicks="${link.totalClicks}" title="${title}" ` +
+        `style="outline:2px solid rgba(220,38,38,${alpha});background:rgba(220,38,38,${alpha});">` +
+        `${openTag}${inner}${closeTag}` +
+        `<span style="display:inline-block;margin-left:4px;padding:1px 5px;border-radius:3px;background:#dc2626;color:#fff;font:bold 11px sans-serif;">${percent}%</span>` +
+        '</span>';
+    });
+  }
+
+  // Start dispatching a campaign in the background (no-op if it is already running here)
+  start(campaignId) {
+    const key = campaignId.toString();
+    if (this.active.has(key)) {
+      return this.active.get(key);
+    }
+
+    const run = this.dispatch(key)
+      .catch(error => {
+        logger.error(`Campaign dispatch error (${key}):`, error);
+      })
+      .finally(() => {
+        this.active.delete(key);
+      });
+
+    this.active.set(key, run);
+    return run;
+  }
+
+  isRunning(campaignId) {
+    return this.active.has(campaignId.toString());
+  }
+
+  // UTM settings for the campaign's links, or null when tagging is off
+  async getUtmSettings(campaign) {
+    const owner = await User.findById(campaign.userId).select('utmDefaults');
+    return resolveUtmSettings(campaign.utm, owner ? owner.utmDefaults : null);
+  }
+
+  async dispatch(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'sending') {
+      logger.warn(`Campaign ${campaignId} is not in sending state, skipping dispatch`);
+      return;
+    }
+
+    const plan = this.buildSendPlan(campaign);
+    if (!plan) {
+      logger.info(`Campaign ${campaign.name} is waiting for its A/B test winner`);
+      return;
+    }
+    plan.utm = await this.getUtmSettings(campaign);
+
+    // Recipients were expanded and snapshotted when the campaign was launched
+    const contacts = await Contact.find({
+      _id: { $in: plan.contactIds },
+      userId: campaign.userId,
+      status: 'active'
+    }).sort({ _id: 1 });
+
+    // Skip anyone who already has a message for this campaign so a re-run never double sends
+    const { model } = this.channelOf(campaign);
+    const alreadySent = new Set(
+      (await model.distinct('metadata.contactId', { 'metadata.campaignId': campaign._id }))
+        .map(id => id.toString())
+    );
+    const pending = contacts.filter(contact => !alreadySent.has(contact._id.toString()));
+
+    logger.info(`Dispatching campaign ${campaign.name}: ${pending.length} of ${contacts.length} recipients pending`);
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      // Stop as soon as the campaign was paused or cancelled (possibly by another instance)
+      const current = await Campaign.findById(campaign._id).select('status');
+      if (!current || current.status !== 'sending') {
+        logger.info(`Campaign ${campaign.name} dispatch stopped (${current ? current.status : 'deleted'})`);
+        if (current && current.status === 'cancelled' && i > 0) {
+          await this.settleQuota(campaign._id);
+        }
+        return;
+      }
+
+      const batch = pending.slice(i, i + this.batchSize);
+      await this.sendBatch(campaign, batch, plan);
+
+      // Throttle between batches
+      if (i + this.batchSize < pending.length) {
+        await new Promise(resolve => setTimeout(resolve, this.batchDelay));
+      }
+    }
+
+    // Only complete the campaign if nobody paused or cancelled it during the last batch
+    const finished = await Campaign.findById(campaign._id);
+    if (!finished || finished.status !== 'sending') {
+      if (finished && finished.status === 'cancelled') {
+        await this.settleQuota(campaign._id);
+      }
+      return;
+    }
+
+    // Test slice done: wait for results before sending the winner to everyone else
+    if (plan.phase === 'test' && finished.recipients.length > finished.abTest.testRecipients.length) {
+      finished.abTest.phase = 'waiting';
+      finished.abTest.decideAt = new Date(Date.now() + finished.abTest.waitHours * 60 * 60 * 1000);
+      await finished.save();
+      logger.info(`Campaign ${campaign.name} A/B test sent, winner will be picked at ${finished.abTest.decideAt.toISOString()}`);
+      return;
+    }
+
+    if (plan.phase) {
+      finished.abTest.phase = 'completed';
+    }
+
+    await finished.markAsSent();
+    await this.settleQuota(campaign._id);
+    logger.info(`Campaign ${campaign.name} sent`);
+  }
+
+  async sendEmailToContact(campaign, contact, plan, suppressedReason = null) {
+    const variant = plan.variantOf(contact._id);
+    const rendered = this.renderForContact(campaign, contact, variant);
+
+    const email = new Email({
+      userId: campaign.userId,
+      to: contact.email,
+      subject: rendered.subject,
+      utm: renderUtmParams(plan.utm, utmVariables(campaign, contact)),
+      claimedBy: 'campaign',
+      claimedAt: new Date(),
+      metadata: {
+        campaignId: campaign._id,
+        contactId: contact._id,
+        templateId: campaign.template || null,
+        variant,
+        abTestPhase: plan.phase
+      }
+    });
+
+    // Every campaign email carries a signed unsubscribe link in its footer and List-Unsubscribe headers
+    const { content, headers } = preferenceService.decorate(
+      rendered.content,
+      preferenceService.unsubscribeUrl(contact, email)
+    );
+    email.content = content;
+    email.headers = headers;
+
+    try {
+      await email.save();
+    } catch (error) {
+      // Another dispatch already took this recipient
+      if (error.code === 11000) {
+        return { contactId: contact._id, success: false, skipped: true };
+      }
+      throw error;
+    }
+
+    // Suppressed after launch, e.g. the contact complained about an earlier send
+    if (suppressedReason) {
+      await email.markAsFailed(`Recipient suppressed (${suppressedReason})`);
+      return { contactId: contact._id, success: false };
+    }
+
+    try {
+      const result = await emailService.sendEmail(email);
+      await email.markAsSent(result);
+      return { contactId: contact._id, success: true };
+    } catch (error) {
+      await email.markAsFailed(error.message);
+      logger.error(`Campaign email to ${contact.email} failed:`, error);
+      return { contactId: contact._id, success: false };
+    }
+  }
+
+  async sendSmsToContact(campaign, contact, plan, suppressedReason = null) {
+    const message = smsService.replaceVariables(campaign.message, this.buildVariables(contact));
+
+    let sms;
+    try {
+      sms = await SMS.create({
+        userId: campaign.userId,
+        to: normalizePhone(contact.phone),
+        message,
+        claimedBy: 'campaign',
+        claimedAt: new Date(),
+        metadata: {
+          campaignId: campaign._id,
+          contactId: contact._id
+        }
+      });
+    } catch (error) {
+      // Another dispatch already took this recipient
+      if (error.code === 11000) {
+        return { contactId: contact._id, success: false, skipped: true };
+      }
+      throw error;
+    }
+
+    if (suppressedReason) {
+      await sms.markAsFailed(`Recipient suppressed (${suppressedReason})`, 'SUPPRESSED');
+      return { contactId: contact._id, success: false };
+    }
+
+    try {
+      // Links are rewritten once the message is ours, so short codes are never created for a duplicate
+      const utm = renderUtmParams(plan.utm, utmVariables(campaign, contact));
+      const rewritten = campaign.shortenLinks === false
+        ? await shortLinkService.tagMessage(sms.message, utm)
+        : await shortLinkService.shortenMessage(sms, { utm });
+      if (rewritten !== sms.message) {
+        sms.message = rewritten;
+        await sms.save();
+      }
+
+      const result = await smsService.sendSMS(sms);
+      await sms.markAsSent(result.messageId, result.sid);
+      return { contactId: contact._id, success: true, cost: result.cost };
+    } catch (error) {
+      await sms.markAsFailed(error.message, error.code);
+      logger.error(`Campaign SMS to ${sms.to} failed:`, error);
+      return { contactId: contact._id, success: false };
+    }
+  }
+
+  async sendBatch(campaign, contacts, plan) {
+    // Re-check suppressions per batch so opt-outs during a long send are honoured
+    const { skipped } = await this.partitionSuppressed(campaign, contacts);
+    const suppressed = new Map(skipped.map(entry => [entry.contactId.toString(), entry.reason]));
+
+    const results = await Promise.all(contacts.map(contact => {
+      const reason = suppressed.get(contact._id.toString()) || null;
+      const send = campaign.channel === 'sms'
+        ? this.sendSmsToContact(campaign, contact, plan, reason)
+        : this.sendEmailToContact(campaign, contact, plan, reason);
+
+      // A database error for one recipient must not stop the rest of the campaign
+      return send.catch(error => {
+        logger.error(`Campaign ${campaign.name} recipient ${contact._id} failed:`, error);
+        return { contactId: contact._id, success: false };
+      });
+    }));
+
+    const sent = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success && !r.skipped).length;
+    const cost = sent.reduce((total, r) => total + (r.cost || 0), 0);
+
+    // Use atomic increments so stats stay correct while batches are in flight
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      {
+        $inc: { 'stats.sent': sent.length, 'stats.failed': failed, 'stats.cost': cost },
+        $set: { 'delivery.heartbeatAt': new Date() }
+      }
+    );
+
+    if (sent.length > 0) {
+      await Contact.updateMany(
+        { _id: { $in: sent.map(r => r.contactId) } },
+        { lastContacted: new Date() }
+      );
+    }
+
+    return results;
+  }
+}
+
+export default new CampaignService();
@@ -0,0 +1,273 @@
+import Contact from '../models/Contact.js';
+import ContactGroup from '../models/ContactGroup.js';
+import ContactActivity from '../models/ContactActivity.js';
+import Campaign from '../models/Campaign.js';
+import Email from '../models/Email.js';
+import SMS from '../models/SMS.js';
+import EmailEvent from '../models/EmailEvent.js';
+import ShortLink from '../models/ShortLink.js';
+import engagementService from './engagementService.js';
+
+// How sure each kind of match is on its own. A pair matching several ways combines them
+// as independent evidence: 1 - (1 - a)(1 - b)...
+const MATCH_CONFIDENCE = {
+  email: 0.9,
+  phone: 0.75,
+  name_company: 0.6
+};
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|plc|gmbh|corp|corporation|co|company)\b/g;
+
+const simplify = value => (value || '')
+  .toString()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Finds contacts that are probably the same person and merges them into one record
+class ContactMergeService {
+  constructor() {
+    this.maxMerge = 10;
+    // Values shared by more contacts than this (a switchboard number, "John Smith" at a
+    // big company) say little about any one pair and would produce too many pairs
+    this.maxBucketSize = 25;
+  }
+
+  mergeError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.name = 'ContactMergeError';
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Address without plus-addressing, and for Gmail without dots, so aliases compare equal
+  canonicalEmail(email) {
+    const value = (email || '').toString().trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    if (at < 1) {
+      return null;
+    }
+
+    let local = value.slice(0, at).split('+')[0];
+    let domain = value.slice(at + 1);
+    if (GMAIL_DOMAINS.includes(domain)) {
+      local = local.replace(/\./g, '');
+      domain = 'gmail.com';
+    }
+    return local ? `${local}@${domain}` : null;
+  }
+
+  // Last ten digits, so country codes and trunk prefixes don't matter
+  phoneKey(phone) {
+    const digits = (phone || '').toString().replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+  }
+
+  nameCompanyKey(contact) {
+    const name = simplify(contact.name);
+    const company = simplify(contact.company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+    return name && company ? `${name}|${company}` : null;
+  }
+
+  keysFor(contact) {
+    return {
+      email: this.canonicalEmail(contact.email),
+      phone: this.phoneKey(contact.phone),
+      name_company: this.nameCompanyKey(contact)
+    };
+  }
+
+  // Candidate duplicate pairs among a user's contacts, most likely first
+  async findDuplicates(userId, { minConfidence = 0.5, limit = 50 } = {}) {
+    const contacts = await Contact.find({ userId })
+      .select('name email phone company status createdAt')
+      .lean();
+
+    const buckets = new Map();
+    for (const contact of contacts) {
+      for (const [type, key] of Object.entries(this.keysFor(contact))) {
+        if (!key) continue;
+        const bucketKey = `${type}:${key}`;
+        if (!buckets.has(bucketKey)) buckets.set(bucketKey, { type, members: [] });
+        buckets.get(bucketKey).members.push(contact);
+      }
+    }
+
+    const pairs = new Map();
+    for (const { type, members } of buckets.values()) {
+      if (members.length < 2 || members.length > this.maxBucketSize) continue;
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const [a, b] = [members[i], members[j]].sort((x, y) => x.createdAt - y.createdAt);
+          const pairKey = `${a._id}:${b._id}`;
+          if (!pairs.has(pairKey)) pairs.set(pairKey, { contacts: [a, b], matches: [] });
+          pairs.get(pairKey).matches.push(type);
+        }
+      }
+    }
+
+    const candidates = [...pairs.values()]
+      .map(({ contacts: pair, matches }) => ({
+        contacts: pair,
+        matches,
+        confidence: Math.round((1 - matches.reduce((rest, type) => rest * (1 - MATCH_CONFIDENCE[type]), 1)) * 100) / 100
+      }))
+      .filter(candidate => candidate.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    return {
+      pairs: candidates.slice(0, limit),
+      total: candidates.length
+    };
+  }
+
+  // Move messages and events to the surviving contact. A campaign sends once per contact, so
+  // campaign messages the survivor already has an equivalent of stay where they are; the
+  // timeline still finds them through mergedFrom.
+  async reassignMessages(primaryId, duplicateIds) {
+    const target = { $set: { 'metadata.contactId': primaryId } };
+
+    for (const Model of [Email, SMS]) {
+      const taken = await Model.distinct('metadata.campaignId', {
+        'metadata.contactId': primaryId,
+        'metadata.campaignId': { $type: 'objectId' }
+      });
+
+      // A campaign can also have reached several of the duplicates; keep one per campaign
+      const movable = await Model.aggregate([
+        {
+          $match: {
+            'metadata.contactId': { $in: duplicateIds },
+            'metadata.campaignId': { $type: 'objectId', $nin: taken }
+          }
+        },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$metadata.campaignId', messageId: { $first: '$_id' } } }
+      ]);
+
+      await Promise.all([
+        Model.updateMany(
+          { 'metadata.contactId': { $in: duplicateIds }, 'metadata.campaignId': { $not: { $type: 'objectId' } } },
+          target
+        ),
+        Model.updateMany({ _id: { $in: movable.map(row => row.messageId) } }, target)
+      ]);
+    }
+
+    await Promise.all([
+      EmailEvent.updateMany({ contactId: { $in: duplicateIds } }, { $set: { contactId: primaryId } }),
+      ShortLink.updateMany({ contactId: { $in: duplicateIds } }, { $set: { contactId: primaryId } }),
+      ContactActivity.updateMany({ contactId: { $in: duplicateIds } }, { $set: { contactId: primaryId } })
+    ]);
+  }
+
+  // Swap the duplicates for the survivor in static groups and in campaigns not yet sent
+  async reassignMemberships(userId, primary, duplicateIds) {
+    const groups = await ContactGroup.find({ userId, contacts: { $in: duplicateIds } }).select('name contacts');
+    const joined = groups.filter(group => !group.contacts.some(id => id.equals(primary._id)));
+
+    await ContactGroup.updateMany(
+      { _id: { $in: groups.map(group => group._id) } },
+      { $addToSet: { contacts: primary._id } }
+    );
+    await ContactGroup.updateMany(
+      { _id: { $in: groups.map(group => group._id) } },
+      [
+        { $set: { contacts: { $filter: { input: '$contacts', cond: { $not: { $in: ['$$this', duplicateIds] } } } } } },
+        { $set: { contactCount: { $size: '$contacts' } } }
+      ]
+    );
+
+    const pending = { userId, status: { $in: ['draft', 'scheduled'] }, recipients: { $in: duplicateIds } };
+    const campaignIds = await Campaign.distinct('_id', pending);
+    await Campaign.updateMany({ _id: { $in: campaignIds } }, { $addToSet: { recipients: primary._id } });
+    await Campaign.updateMany({ _id: { $in: campaignIds } }, { $pull: { recipients: { $in: duplicateIds } } });
+
+    await Promise.all(joined.map(group =>
+      ContactActivity.record(userId, [primary._id], 'group_added', { groupId: group._id, details: { groupName: group.name } })
+    ));
+
+    return groups.length;
+  }
+
+  // Combine duplicates into the primary contact and delete them. The primary's own values
+  // win; blanks are filled from the duplicates, oldest first.
+  async merge(userId, primaryId, duplicateIds) {
+    const ids = [...new Set(duplicateIds.map(id => id.toString()))].filter(id => id !== primaryId.toString());
+    if (ids.length === 0) {
+      throw this.mergeError('At least one duplicate other than the primary contact is required');
+    }
+    if (ids.length > this.maxMerge) {
+      throw this.mergeError(`At most ${this.maxMerge} contacts can be merged at once`);
+    }
+
+    const [primary, duplicates] = await Promise.all([
+      Contact.findOne({ _id: primaryId, userId }),
+      Contact.find({ _id: { $in: ids }, userId }).sort({ createdAt: 1 })
+    ]);
+    if (!primary) {
+      throw this.mergeError('Primary contact not found', 404);
+    }
+    if (duplicates.length !== ids.length) {
+      throw this.mergeError('One or more duplicate contacts were not found', 404);
+    }
+
+    for (const field of ['phone', 'company', 'position', 'location', 'website']) {
+      if (!primary[field]) {
+        const donor = duplicates.find(duplicate => duplicate[field]);
+        if (donor) primary[field] = donor[field];
+      }
+    }
+
+    primary.tags = [...new Set([...primary.tags, ...duplicates.flatMap(duplicate => duplicate.tags)])];
+    for (const duplicate of duplicates) {
+      for (const [key, value] of duplicate.customFields || []) {
+        if (!primary.customFields.has(key)) primary.customFields.set(key, value);
+      }
+    }
+
+    // Opt-outs carry over: someone who unsubscribed under any of their records stays unsubscribed
+    const unsubscribed = duplicates.filter(duplicate => duplicate.status === 'unsubscribed');
+    if (unsubscribed.length > 0 && primary.status !== 'unsubscribed') {
+      primary.status = 'unsubscribed';
+      primary.unsubscribedAt = unsubscribed[0].unsubscribedAt || new Date();
+    }
+    const unique = values => [...new Map(values.map(value => [value.toString(), value])).values()];
+    primary.unsubscribedGroups = unique([...primary.unsubscribedGroups, ...duplicates.flatMap(duplicate => duplicate.unsubscribedGroups)]);
+    primary.unsubscribedTopics = [...new Set([...primary.unsubscribedTopics, ...duplicates.flatMap(duplicate => duplicate.unsubscribedTopics)])];
+
+    const contacted = [primary, ...duplicates].map(contact => contact.lastContacted).filter(Boolean);
+    primary.lastContacted = contacted.length > 0 ? new Date(Math.max(...contacted)) : null;
+
+    primary.engagement = engagementService.combine([primary, ...duplicates].map(contact => contact.engagement));
+    primary.mergedFrom = [
+      ...primary.mergedFrom,
+      ...duplicates.flatMap(duplicate => [
+        ...duplicate.mergedFrom.map(entry => entry.toObject()),
+        { contactId: duplicate._id, email: duplicate.email, phone: duplicate.phone, mergedAt: new Date() }
+      ])
+    ];
+
+    await primary.save();
+
+    // Duplicates are only deleted once everything pointing at them has moved
+    const duplicateObjectIds = duplicates.map(duplicate => duplicate._id);
+    await this.reassignMessages(primary._id, duplicateObjectIds);
+    const groups = await this.reassignMemberships(userId, primary, duplicateObjectIds);
+    await Contact.deleteMany({ _id: { $in: duplicateObjectIds }, userId });
+
+    await ContactActivity.record(userId, [primary._id], 'merged', {
+      details: {
+        contacts: duplicates.map(duplicate => ({ contactId: duplicate._id, name: duplicate.name, email: duplicate.email }))
+      }
+    });
+
+    return { contact: primary, merged: duplicates.length, groups };
+  }
+}
+
+export default new ContactMergeService();
@@ -0,0 +1,175 @@
+import Contact from '../models/Contact.js';
+import CustomFieldDefinition from '../models/CustomFieldDefinition.js';
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multiselect'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Template variables every contact already has; a custom field can't shadow them
+const RESERVED_KEYS = ['name', 'firstName', 'email', 'phone', 'company', 'position', 'location', 'website'];
+
+// Checks contact custom fields against the user's definitions and stores them typed.
+// Keys without a definition stay free-form text, as they always were.
+class CustomFieldService {
+  constructor() {
+    this.maxTextLength = 500;
+  }
+
+  customFieldError(errors) {
+    const error = new Error('Validation failed');
+    error.name = 'CustomFieldError';
+    error.statusCode = 400;
+    error.errors = errors;
+    return error;
+  }
+
+  isReservedKey(key) {
+    return RESERVED_KEYS.includes(key);
+  }
+
+  isEmpty(value) {
+    return value === null || value === undefined
+      || (typeof value === 'string' && value.trim() === '')
+      || (Array.isArray(value) && value.length === 0);
+  }
+
+  // Convert one input value (JSON or spreadsheet text) to the field's type.
+  // Throws with the reason, worded to follow the field label.
+  coerce(definition, value) {
+    const text = typeof value === 'string' ? value.trim() : value;
+
+    switch (definition.type) {
+      case 'number': {
+        const number = typeof text === 'number' ? text : (typeof text === 'string' && text !== '' ? Number(text) : NaN);
+        if (!Number.isFinite(number)) {
+          throw new Error('must be a number');
+        }
+        return number;
+      }
+      case 'date': {
+        const date = text instanceof Date ? text : (typeof text === 'string' ? new Date(text) : null);
+        if (!date || Number.isNaN(date.getTime())) {
+          throw new Error('must be a date (YYYY-MM-DD)');
+        }
+        return date;
+      }
+      case 'boolean': {
+        if (typeof text === 'boolean') {
+          return text;
+        }
+        const word = String(text).toLowerCase();
+        if (TRUE_VALUES.includes(word)) return true;
+        if (FALSE_VALUES.includes(word)) return false;
+        throw new Error('must be true or false');
+      }
+      case 'select':
+        return this.matchOption(definition, text);
+      case 'multiselect': {
+        // Spreadsheets give "a, b"; JSON gives ["a", "b"]
+        const items = Array.isArray(text) ? text : String(text).split(',');
+        const values = items.map(item => (typeof item === 'string' ? item.trim() : item)).filter(item => item !== '');
+        return [...new Set(values.map(item => this.matchOption(definition, item)))];
+      }
+      default:
+        if (typeof text === 'object' && !(text instanceof Date)) {
+          throw new Error('must be text');
+        }
+        if (String(text).length > this.maxTextLength) {
+          throw new Error(`must be at most ${this.maxTextLength} characters`);
+        }
+        return String(text);
+    }
+  }
+
+  // Options match case-insensitively and are stored as defined
+  matchOption(definition, value) {
+    const option = typeof value === 'string'
+      ? definition.options.find(candidate => candidate.toLowerCase() === value.toLowerCase())
+      : null;
+    if (!option) {
+      throw new Error(`must be one of: ${definition.options.join(', ')}`);
+    }
+    return option;
+  }
+
+  // Validate a customFields object and return it with typed values. Empty values are left
+  // out. Throws a CustomFieldError (statusCode 400) listing every invalid field.
+  async prepare(userId, customFields = {}, { definitions = null } = {}) {
+    const defined = definitions || await CustomFieldDefinition.getForUser(userId);
+    const values = {};
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(customFields || {})) {
+      if (this.isEmpty(raw)) {
+        continue;
+      }
+
+      const definition = defined.get(key);
+      if (!definition) {
+        values[key] = String(raw);
+        continue;
+      }
+
+      try {
+        values[key] = this.coerce(definition, raw);
+      } catch (error) {
+        errors.push({ path: `customFields.${key}`, msg: `${definition.label} ${error.message}` });
+      }
+    }
+
+    for (const definition of defined.values()) {
+      if (definition.required && !(definition.key in values) && !errors.some(error => error.path === `customFields.${definition.key}`)) {
+        errors.push({ path: `customFields.${definition.key}`, msg: `${definition.label} is required` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw this.customFieldError(errors);
+    }
+    return values;
+  }
+
+  // Template variables are text: dates as YYYY-MM-DD, option lists comma-separated
+  formatValue(value) {
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  // Convert values stored before the field was defined. Values that don't fit the type are
+  // left as they are and counted.
+  async convertExisting(definition) {
+    const field = `customFields.${definition.key}`;
+    const cursor = Contact.find({ userId: definition.userId, [field]: { $exists: true } })
+      .select(field)
+      .lean()
+      .cursor();
+
+    const summary = { converted: 0, invalid: 0 };
+    let operations = [];
+
+    for await (const contact of cursor) {
+      try {
+        const value = this.coerce(definition, contact.customFields[definition.key]);
+        operations.push({ updateOne: { filter: { _id: contact._id }, update: { $set: { [field]: value } } } });
+        summary.converted += 1;
+      } catch (error) {
+        summary.invalid += 1;
+      }
+
+      if (operations.length >= 500) {
+        await Contact.bulkWrite(operations);
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Contact.bulkWrite(operations);
+    }
+    return summary;
+  }
+}
+
+export default new CustomFieldService();
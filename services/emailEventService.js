@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Email from '../models/Email.js';
+import EmailEvent from '../models/EmailEvent.js';
+import Campaign from '../models/Campaign.js';
+import Contact from '../models/Contact.js';
+import Suppression from '../models/Suppression.js';
+import botDetectionService from './botDetectionService.js';
+import engagementService from './engagementService.js';
+import logger from '../utils/logger.js';
+
+// Mailjet event names mapped to our event types
+const MAILJET_EVENTS = {
+  sent: 'delivered',
+  open: 'open',
+  click: 'click',
+  bounce: 'bounce',
+  blocked: 'blocked',
+  spam: 'spam',
+  unsub: 'unsub'
+};
+
+// Tracking counters from before an update; emails stored before tracking existed have none
+const trackingOf = email => (email && email.tracking) || {};
+
+class EmailEventService {
+  // Mailjet posts either a single event object or, with grouping enabled, an array
+  normalizeMailjet(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+
+    return events.map(raw => {
+      const type = MAILJET_EVENTS[raw && raw.event];
+      if (!type) {
+        return { ignored: true, raw };
+      }
+
+      const occurredAt = raw.time ? new Date(raw.time * 1000) : new Date();
+      const key = [raw.event, raw.MessageID, raw.time, raw.url || ''].join(':');
+
+      return {
+        type,
+        source: 'mailjet',
+        emailId: raw.CustomID || null,
+        providerMessageId: raw.MessageID ? String(raw.MessageID) : null,
+        url: raw.url || null,
+        userAgent: raw.agent || null,
+        ip: raw.ip || null,
+        reason: [raw.error_related_to, raw.error, raw.comment].filter(Boolean).join(': ') || null,
+        hardBounce: raw.hard_bounce === true,
+        occurredAt,
+        dedupeKey: `mailjet:${crypto.createHash('sha1').update(key).digest('hex')}`
+      };
+    });
+  }
+
+  async ingestMailjet(payload) {
+    const summary = { processed: 0, duplicates: 0, unmatched: 0, ignored: 0 };
+
+    for (const event of this.normalizeMailjet(payload)) {
+      if (event.ignored) {
+        summary.ignored += 1;
+        continue;
+      }
+
+      const email = await this.findEmail(event);
+      if (!email) {
+        summary.unmatched += 1;
+        continue;
+      }
+
+      const result = await this.applyEvent(email, event);
+      summary[result.duplicate ? 'duplicates' : 'processed'] += 1;
+    }
+
+    if (summary.unmatched > 0) {
+      logger.warn(`Mailjet webhook: ${summary.unmatched} events did not match an email`);
+    }
+
+    return summary;
+  }
+
+  // CustomID is our Email id; fall back to the provider message id for older sends
+  async findEmail(event) {
+    if (event.emailId && mongoose.Types.ObjectId.isValid(event.emailId)) {
+      const email = await Email.findById(event.emailId);
+      if (email) {
+        return email;
+      }
+    }
+
+    if (event.providerMessageId) {
+      return Email.findOne({ provider: event.source, providerMessageId: event.providerMessageId });
+    }
+
+    return null;
+  }
+
+  // The recipient's contact, looked up only among the sender's own contacts
+  async resolveContactId(email) {
+    const filter = email.metadata && email.metadata.contactId
+      ? { _id: email.metadata.contactId, userId: email.userId }
+      : { userId: email.userId, email: email.to };
+
+    const contact = await Contact.findOne(filter).select('_id');
+    return contact ? contact._id : null;
+  }
+
+  async incrementCampaign(email, field) {
+    const campaignId = email.metadata && email.metadata.campaignId;
+    if (!campaignId) {
+      return;
+    }
+
+    await Campaign.updateOne({ _id: campaignId }, { $inc: { [`stats.${field}`]: 1 } });
+  }
+
+  async updateContactStatus(email, contactId, status) {
+    if (!contactId) {
+      return;
+    }
+
+    // Never downgrade an unsubscribe to a bounce or re-activate anyone
+    const from = status === 'unsubscribed' ? ['active', 'inactive', 'bounced'] : ['active', 'inactive'];
+    await Contact.updateOne({ _id: contactId, userId: email.userId, status: { $in: from } }, { status });
+  }
+
+  // Record an event and apply its effects to the email, campaign stats and contact.
+  // Returns { duplicate: true } when the event was already ingested.
+  async applyEvent(email, event) {
+    const contactId = await this.resolveContactId(email);
+
+    if (event.type === 'open' || event.type === 'click') {
+      const { classification, reason } = await botDetectionService.classify(email, event);
+      event.classification = classification;
+      event.classificationReason = reason;
+    }
+
+    try {
+      await EmailEvent.create({
+        emailId: email._id,
+        userId: email.userId,
+        campaignId: email.metadata ? email.metadata.campaignId : null,
+        contactId,
+        type: event.type,
+        source: event.source,
+        url: event.url,
+        userAgent: event.userAgent,
+        ip: event.ip,
+        reason: event.reason,
+        hardBounce: event.hardBounce,
+        classification: event.classification || null,
+        classificationReason: event.classificationReason || null,
+        occurredAt: event.occurredAt,
+        dedupeKey: event.dedupeKey || null
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { duplicate: true };
+      }
+      throw error;
+    }
+
+    switch (event.type) {
+      case 'delivered':
+        await this.applyDelivered(email, event);
+        break;
+      case 'open':
+        await this.applyOpen(email, event);
+        break;
+      case 'click':
+        await this.applyClick(email, event);
+        break;
+      case 'bounce':
+      case 'blocked':
+        await this.applyBounce(email, event, contactId);
+        break;
+      case 'spam':
+      case 'unsub':
+        await this.applyOptOut(email, event, contactId);
+        break;
+    }
+
+    if ((event.type === 'open' || event.type === 'click') && event.classification === 'human') {
+      await engagementService.record(contactId, `email_${event.type}`, event.occurredAt);
+    }
+
+    return { duplicate: false };
+  }
+
+  // Opens can be reported before the delivered callback, so delivery is counted once by
+  // deliveredAt rather than by status, and the status only moves forward
+  async applyDelivered(email, event) {
+    const result = await Email.updateOne(
+      { _id: email._id, deliveredAt: null },
+      { deliveredAt: event.occurredAt }
+    );
+
+    await Email.updateOne(
+      { _id: email._id, status: { $in: ['pending', 'sent'] } },
+      { status: 'delivered' }
+    );
+
+    if (result.modifiedCount > 0) {
+      await this.incrementCampaign(email, 'delivered');
+    }
+  }
+
+  async applyOpen(email, event) {
+    const before = await Email.findOneAndUpdate(
+      { _id: email._id },
+      { $inc: { 'tracking.openCount': 1 }, $set: { 'tracking.lastOpened': event.occurredAt } },
+      { new: false }
+    );
+
+    await Email.updateOne(
+      { _id: email._id, status: { $in: ['pending', 'sent', 'delivered'] } },
+      { status: 'opened' }
+    );
+
+    if (!trackingOf(before).openCount) {
+      await Email.updateOne({ _id: email._id }, { openedAt: event.occurredAt });
+      await this.incrementCampaign(email, 'opened');
+    }
+
+    if (event.classification === 'human') {
+      await this.applyHumanOpen(email);
+    }
+  }
+
+  // Filtered counters only move for opens we believe a person made
+  async applyHumanOpen(email) {
+    const before = await Email.findOneAndUpdate(
+      { _id: email._id },
+      { $inc: { 'tracking.humanOpenCount': 1 } },
+      { new: false }
+    );
+
+    if (!trackingOf(before).humanOpenCount) {
+      await this.incrementCampaign(email, 'humanOpened');
+    }
+  }
+
+  async applyClick(email, event) {
+    const before = await Email.findOneAndUpdate(
+      { _id: email._id },
+      { $inc: { 'tracking.clickCount': 1 }, $set: { 'tracking.lastClicked': event.occurredAt } },
+      { new: false }
+    );
+
+    await Email.updateOne(
+      { _id: email._id, status: { $in: ['pending', 'sent', 'delivered', 'opened'] } },
+      { status: 'clicked' }
+    );
+
+    if (!trackingOf(before).clickCount) {
+      await Email.updateOne({ _id: email._id }, { clickedAt: event.occurredAt });
+      await this.incrementCampaign(email, 'clicked');
+    }
+
+    // A click proves the message was opened even if the pixel never loaded
+    const opened = await Email.updateOne(
+      { _id: email._id, 'tracking.openCount': { $in: [0, null] } },
+      { $inc: { 'tracking.openCount': 1 }, $set: { openedAt: event.occurredAt, 'tracking.lastOpened': event.occurredAt } }
+    );
+    if (opened.modifiedCount > 0) {
+      await this.incrementCampaign(email, 'opened');
+    }
+
+    if (event.classification === 'human') {
+      const before = await Email.findOneAndUpdate(
+        { _id: email._id },
+        { $inc: { 'tracking.humanClickCount': 1 } },
+        { new: false }
+      );
+
+      if (!trackingOf(before).humanClickCount) {
+        await this.incrementCampaign(email, 'humanClicked');
+      }
+
+      // Same for the filtered counters: a person clicking must have opened it
+      if (!trackingOf(before).humanOpenCount) {
+        await this.applyHumanOpen(email);
+      }
+    }
+  }
+
+  async applyBounce(email, event, contactId) {
+    const reason = event.type === 'blocked'
+      ? `Blocked${event.reason ? `: ${event.reason}` : ''}`
+      : (event.reason || 'Bounced');
+
+    const result = await Email.updateOne(
+      { _id: email._id, status: { $ne: 'bounced' } },
+      { status: 'bounced', bounceReason: reason }
+    );
+
+    if (result.modifiedCount > 0) {
+      await this.incrementCampaign(email, 'bounced');
+    }
+
+    // Soft bounces and blocks may clear up; only a hard bounce retires the address.
+    // A dead mailbox is dead for every sender, so it goes on the system-wide list.
+    if (event.type === 'bounce' && event.hardBounce) {
+      await this.updateContactStatus(email, contactId, 'bounced');
+      await Suppression.suppress({
+        userId: null,
+        channel: 'email',
+        value: email.to,
+        reason: 'hard_bounce',
+        source: event.source,
+        note: event.reason || '',
+        metadata: { emailId: email._id, campaignId: email.metadata ? email.metadata.campaignId : null }
+      });
+    }
+  }
+
+  async applyOptOut(email, event, contactId) {
+    await this.updateContactStatus(email, contactId, 'unsubscribed');
+    await Suppression.suppress({
+      userId: email.userId,
+      channel: 'email',
+      value: email.to,
+      reason: event.type === 'spam' ? 'complaint' : 'unsubscribe',
+      source: event.source,
+      metadata: { emailId: email._id, campaignId: email.metadata ? email.metadata.campaignId : null }
+    });
+
+    // Count each recipient once per campaign even if they opt out twice
+    const count = await EmailEvent.countDocuments({ emailId: email._id, type: event.type });
+    if (count === 1) {
+      await this.incrementCampaign(email, event.type === 'spam' ? 'complained' : 'unsubscribed');
+    }
+  }
+}
+
+export default new EmailEventService();
@@ -0,0 +1,33 @@
+// Shared helpers for email providers. Each provider exposes a `name`,
+// `isConfigured()` and `send(email)` resolving to `{ messageId }`.
+class BaseEmailProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  async send(email) {
+    throw new Error(`${this.name} provider does not implement send`);
+  }
+
+  textFor(email) {
+    return email.content.text || this.stripHtml(email.content.html);
+  }
+
+  headersFor(email) {
+    return {
+      'X-Email-ID': email._id ? email._id.toString() : '',
+      'X-User-ID': email.userId ? email.userId.toString() : '',
+      ...(email.headers || {})
+    };
+  }
+
+  stripHtml(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default BaseEmailProvider;
@@ -0,0 +1,34 @@
+import BaseEmailProvider from './baseProvider.js';
+import MessageSink from '../../utils/messageSink.js';
+import logger from '../../utils/logger.js';
+
+// Writes each message to disk as JSON instead of delivering it.
+// Useful for local development and as a last-resort failover target.
+class FileProvider extends BaseEmailProvider {
+  constructor() {
+    super('file');
+    this.sink = new MessageSink(process.env.MAIL_SINK_DIR || 'storage/mail', 'file');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(email) {
+    const message = await this.sink.write({
+      emailId: email._id ? email._id.toString() : null,
+      userId: email.userId ? email.userId.toString() : null,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.content.html,
+      text: this.textFor(email),
+      headers: this.headersFor(email)
+    });
+
+    logger.info(`Email written to file sink: ${message.id}`);
+    return { messageId: message.id };
+  }
+}
+
+export default new FileProvider();
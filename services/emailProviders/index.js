@@ -0,0 +1,15 @@
+import mailjetProvider from './mailjetProvider.js';
+import resendProvider from './resendProvider.js';
+import smtpProvider from './smtpProvider.js';
+import fileProvider from './fileProvider.js';
+
+export const providers = {
+  [mailjetProvider.name]: mailjetProvider,
+  [resendProvider.name]: resendProvider,
+  [smtpProvider.name]: smtpProvider,
+  [fileProvider.name]: fileProvider
+};
+
+export const providerNames = Object.keys(providers);
+
+export const getProvider = (name) => providers[name] || null;
@@ -0,0 +1,58 @@
+import Mailjet from 'node-mailjet';
+import BaseEmailProvider from './baseProvider.js';
+import logger from '../../utils/logger.js';
+
+class MailjetProvider extends BaseEmailProvider {
+  constructor() {
+    super('mailjet');
+    this.client = null;
+    this.apiKey = process.env.MAILJET_API_KEY || null;
+    this.apiSecret = process.env.MAILJET_API_SECRET || null;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.apiSecret);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Mailjet({
+        apiKey: this.apiKey,
+        apiSecret: this.apiSecret
+      });
+    }
+    return this.client;
+  }
+
+  async send(email) {
+    const result = await this.getClient().post('send', { version: 'v3.1' }).request({
+      Messages: [
+        {
+          From: {
+            Email: email.from.email,
+            Name: email.from.name
+          },
+          To: [
+            {
+              Email: email.to,
+              Name: email.to.split('@')[0] // Use email prefix as name
+            }
+          ],
+          Subject: email.subject,
+          TextPart: this.textFor(email),
+          HTMLPart: email.content.html,
+          CustomID: email._id ? email._id.toString() : `email_${Date.now()}`,
+          Headers: this.headersFor(email),
+          // Our own pixel and redirects already track this message; avoid counting twice
+          ...(email.tracked ? { TrackOpens: 'disabled', TrackClicks: 'disabled' } : {})
+        }
+      ]
+    });
+
+    const messageId = String(result.body.Messages[0].To[0].MessageID);
+    logger.info(`Email sent via Mailjet: ${messageId}`);
+    return { messageId };
+  }
+}
+
+export default new MailjetProvider();
@@ -0,0 +1,38 @@
+import { Resend } from 'resend';
+import BaseEmailProvider from './baseProvider.js';
+import logger from '../../utils/logger.js';
+
+class ResendProvider extends BaseEmailProvider {
+  constructor() {
+    super('resend');
+    this.client = null;
+    this.apiKey = process.env.RESEND_API_KEY || null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Resend(this.apiKey);
+    }
+    return this.client;
+  }
+
+  async send(email) {
+    const result = await this.getClient().emails.send({
+      from: `${email.from.name} <${email.from.email}>`,
+      to: email.to,
+      subject: email.subject,
+      html: email.content.html,
+      text: this.textFor(email),
+      headers: this.headersFor(email)
+    });
+
+    logger.info(`Email sent via Resend: ${result.id}`);
+    return { messageId: result.id };
+  }
+}
+
+export default new ResendProvider();
@@ -0,0 +1,46 @@
+import nodemailer from 'nodemailer';
+import BaseEmailProvider from './baseProvider.js';
+import logger from '../../utils/logger.js';
+
+class SmtpProvider extends BaseEmailProvider {
+  constructor() {
+    super('smtp');
+    this.transporter = null;
+    this.options = {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    };
+  }
+
+  isConfigured() {
+    return !!this.options.host;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+    return this.transporter;
+  }
+
+  async send(email) {
+    const result = await this.getTransporter().sendMail({
+      from: `${email.from.name} <${email.from.email}>`,
+      to: email.to,
+      subject: email.subject,
+      html: email.content.html,
+      text: this.textFor(email),
+      headers: this.headersFor(email)
+    });
+
+    logger.info(`Email sent via SMTP: ${result.messageId}`);
+    return { messageId: result.messageId };
+  }
+}
+
+export default new SmtpProvider();
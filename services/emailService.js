@@ -1,162 +1,171 @@
-import nodemailer from 'nodemailer';
-import Mailjet from 'node-mailjet';
+import { providers, getProvider } from './emailProviders/index.js';
 import logger from '../utils/logger.js';
 
 class EmailService {
   constructor() {
-    this.mailjet = null;
-    this.transporter = null;
-    this.initializeTransporter();
-  }
-
-  async initializeTransporter() {
-    try {
-      // Check if Mailjet is configured (primary email service)
-      if (true) { // Always use hardcoded Mailjet keys
-        this.mailjet = new Mailjet({
-          apiKey: '77f88844f6df9fce5cb22b9e26e99208',
-          apiSecret: '8305269ebd5a9d920e7cc128a7e86b62'
-        });
-        logger.info('Email service initialized with Mailjet');
-        return;
+    this.providers = providers;
+    this.defaultProvider = process.env.EMAIL_PROVIDER || 'mailjet';
+    this.failover = (process.env.EMAIL_FAILOVER || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    this.userProviderCache = new Map(); // userId -> { provider, expiresAt }
+    this.userProviderTtlMs = 60 * 1000;
+    this.initializeProviders();
+  }
+
+  initializeProviders() {
+    for (const name of [this.defaultProvider, ...this.failover]) {
+      if (!getProvider(name)) {
+        logger.warn(`Unknown email provider in configuration: ${name}`);
       }
+    }
 
-      // Check if SMTP is configured (fallback) - disabled for hardcoded setup
-      if (false) { // SMTP fallback disabled
-        // Configure nodemailer transporter (fallback)
-        this.transporter = nodemailer.createTransport({
-          host: 'smtp.gmail.com',
-          port: 587,
-          secure: false,
-          auth: {
-            user: 'hardcoded_user',
-            pass: 'hardcoded_pass'
-          }
-        });
-
-        // Verify connection
-        await this.transporter.verify();
-        logger.info('Email service initialized with SMTP');
-      } else {
-        // Neither Mailjet nor SMTP configured
-        logger.warn('Email service not configured - missing Mailjet API keys or SMTP credentials');
-        this.transporter = null;
-      }
-    } catch (error) {
-      logger.error('Email service initialization failed:', error);
-      this.transporter = null;
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
+      logger.warn('Email service not configured - no usable email provider');
+      return;
     }
-  }
 
-  async sendEmail(email) {
-    try {
-      // Try Mailjet first (preferred)
-      if (this.mailjet) {
-        return await this.sendWithMailjet(email);
-      }
+    logger.info(`Email service initialized with ${chain.map(provider => provider.name).join(' -> ')}`);
+  }
 
-      // Fallback to nodemailer
-      if (this.transporter) {
-        return await this.sendWithNodemailer(email);
-      }
+  // Ordered list of configured providers to try: preferred, then system default, then failover
+  getProviderChain(preferred = null) {
+    const names = [...new Set([preferred, this.defaultProvider, ...this.failover].filter(Boolean))];
+    const chain = names
+      .map(name => getProvider(name))
+      .filter(provider => provider && provider.isConfigured());
 
-      // For development, just log the email
-      logger.info(`[DEV] Email would be sent to: ${email.to}`);
-      logger.info(`[DEV] Subject: ${email.subject}`);
-      return {
-        messageId: `dev_${Date.now()}`,
-        provider: 'development'
-      };
-    } catch (error) {
-      logger.error('Email send error:', error);
-      throw new Error(`Failed to send email: ${error.message}`);
+    // Outside production never drop mail on the floor; write it to the file sink instead
+    if (chain.length === 0 && process.env.NODE_ENV !== 'production') {
+      chain.push(getProvider('file'));
     }
+
+    return chain;
   }
 
-  async sendWithMailjet(email) {
-    try {
-      if (!this.mailjet) {
-        throw new Error('Mailjet service not configured');
-      }
+  async getUserProvider(userId) {
+    if (!userId) {
+      return null;
+    }
 
-      const request = this.mailjet.post('send', { version: 'v3.1' }).request({
-        Messages: [
-          {
-            From: {
-              Email: email.from.email,
-              Name: email.from.name
-            },
-            To: [
-              {
-                Email: email.to,
-                Name: email.to.split('@')[0] // Use email prefix as name
-              }
-            ],
-            Subject: email.subject,
-            TextPart: email.content.text || this.stripHtml(email.content.html),
-            HTMLPart: email.content.html,
-            CustomID: email._id ? email._id.toString() : `email_${Date.now()}`,
-            Headers: {
-              'X-Email-ID': email._id ? email._id.toString() : '',
-              'X-User-ID': email.userId ? email.userId.toString() : ''
-            }
-          }
-        ]
-      });
-
-      const result = await request;
-      
-      logger.info(`Email sent via Mailjet: ${result.body.Messages[0].To[0].MessageID}`);
-      return {
-        messageId: result.body.Messages[0].To[0].MessageID,
-        provider: 'mailjet'
-      };
-    } catch (error) {
-      logger.error('Mailjet email error:', error);
-      throw error;
+    const key = userId.toString();
+    const cached = this.userProviderCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.provider;
     }
+
+    const { default: User } = await import('../models/User.js');
+    const user = await User.findById(userId).select('emailProvider');
+    const provider = user ? user.emailProvider : null;
+
+    this.userProviderCache.set(key, { provider, expiresAt: Date.now() + this.userProviderTtlMs });
+    return provider;
   }
 
-  async sendWithNodemailer(email) {
-    try {
-      const mailOptions = {
-        from: `${email.from.name} <${email.from.email}>`,
-        to: email.to,
-        subject: email.subject,
-        html: email.content.html,
-        text: email.content.text || this.stripHtml(email.content.html),
-        headers: {
-          'X-Email-ID': email._id.toString(),
-          'X-User-ID': email.userId.toString()
-        }
-      };
+  clearUserProvider(userId) {
+    this.userProviderCache.delete(userId.toString());
+  }
 
-      const result = await this.transporter.sendMail(mailOptions);
-      
-      logger.info(`Email sent via Nodemailer: ${result.messageId}`);
-      return {
-        messageId: result.messageId,
-        provider: 'nodemailer'
-      };
-    } catch (error) {
-      logger.error('Nodemailer email error:', error);
-      throw error;
-    }
+  getProviderStatus() {
+    return {
+      default: this.defaultProvider,
+      failover: this.failover,
+      providers: Object.values(this.providers).map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured()
+      })),
+      chain: this.getProviderChain().map(provider => provider.name)
+    };
   }
 
-  async sendBulkEmails(emails) {
-    const results = [];
-    
-    for (const email of emails) {
+  // Send through the first provider that accepts the message.
+  // options.provider forces a provider to the front of the chain; options.tracking = false
+  // sends saved emails without the open pixel and click redirects.
+  async sendEmail(email, options = {}) {
+    const preferred = options.provider || await this.getUserProvider(email.userId);
+    const chain = this.getProviderChain(preferred);
+
+    if (chain.length === 0) {
+      throw new Error('Failed to send email: no email provider configured');
+    }
+
+    const { default: trackingService } = await import('./trackingService.js');
+    const outgoing = options.tracking === false ? email : trackingService.prepare(email);
+
+    const failures = [];
+    for (const provider of chain) {
       try {
-        const result = await this.sendEmail(email);
-        results.push({ email: email._id, success: true, result });
+        const result = await provider.send(outgoing);
+        if (failures.length > 0) {
+          logger.warn(`Email to ${email.to} sent via ${provider.name} after failover from ${failures.map(f => f.provider).join(', ')}`);
+        }
+        return {
+          messageId: result.messageId,
+          provider: provider.name,
+          failures
+        };
       } catch (error) {
-        results.push({ email: email._id, success: false, error: error.message });
+        logger.error(`Email provider ${provider.name} failed for ${email.to}: ${error.message}`);
+        failures.push({ provider: provider.name, error: error.message });
       }
     }
 
-    return results;
+    const summary = failures.map(f => `${f.provider}: ${f.error}`).join('; ');
+    throw new Error(`Failed to send email: ${summary}`);
+  }
+
+  // Queue saved Email records for background delivery with retries.
+  // Returns immediately with the batch id to poll for progress.
+  async sendBulkEmails(emails, options = {}) {
+    const { default: queueService } = await import('./queueService.js');
+    return queueService.enqueueEmails(emails, options);
+  }
+
+  // Reason the recipient is on the sender's or the system suppression list, or null
+  async getSuppression(email) {
+    const { default: Suppression } = await import('../models/Suppression.js');
+    return Suppression.isSuppressed(email.userId, 'email', email.to);
+  }
+
+  async sendScheduledEmails(workerId = 'scheduler', limit = 100) {
+    try {
+      const { default: Email } = await import('../models/Email.js');
+      const results = [];
+
+      // Claim due emails one at a time so concurrent workers never send the same email
+      for (let i = 0; i < limit; i++) {
+        const email = await Email.claimDue(workerId);
+        if (!email) {
+          break;
+        }
+
+        const suppressedReason = await this.getSuppression(email);
+        if (suppressedReason) {
+          await email.markAsFailed(`Recipient suppressed (${suppressedReason})`);
+          results.push({ email: email._id, success: false, skipped: true, error: 'Recipient suppressed' });
+          continue;
+        }
+
+        try {
+          const result = await this.sendEmail(email);
+          await email.markAsSent(result);
+          results.push({ email: email._id, success: true });
+        } catch (error) {
+          await email.markAsFailed(error.message);
+          results.push({ email: email._id, success: false, error: error.message });
+        }
+      }
+
+      if (results.length > 0) {
+        logger.info(`Processed ${results.length} scheduled emails`);
+      }
+      return results;
+    } catch (error) {
+      logger.error('Send scheduled emails error:', error);
+      throw error;
+    }
   }
 
   async sendTemplate(templateId, to, variables = {}) {
@@ -213,10 +222,6 @@ class EmailService {
     });
   }
 
-  stripHtml(html) {
-    return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-  }
-
   async validateEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -235,69 +240,6 @@ class EmailService {
       throw error;
     }
   }
-
-  async handleWebhook(payload) {
-    try {
-      // Handle email webhooks (delivery, bounce, open, click)
-      const { type, data } = payload;
-      
-      switch (type) {
-        case 'email.delivered':
-          await this.handleDelivery(data);
-          break;
-        case 'email.bounced':
-          await this.handleBounce(data);
-          break;
-        case 'email.opened':
-          await this.handleOpen(data);
-          break;
-        case 'email.clicked':
-          await this.handleClick(data);
-          break;
-        default:
-          logger.warn(`Unknown webhook type: ${type}`);
-      }
-    } catch (error) {
-      logger.error('Handle webhook error:', error);
-      throw error;
-    }
-  }
-
-  async handleDelivery(data) {
-    // Find email by message ID and mark as delivered
-    const { default: Email } = await import('../models/Email.js');
-    const email = await Email.findOne({ 'tracking.messageId': data.messageId });
-    if (email) {
-      await email.markAsDelivered();
-    }
-  }
-
-  async handleBounce(data) {
-    // Find email by message ID and mark as bounced
-    const { default: Email } = await import('../models/Email.js');
-    const email = await Email.findOne({ 'tracking.messageId': data.messageId });
-    if (email) {
-      await email.markAsBounced(data.reason || 'Bounced');
-    }
-  }
-
-  async handleOpen(data) {
-    // Find email by message ID and mark as opened
-    const { default: Email } = await import('../models/Email.js');
-    const email = await Email.findOne({ 'tracking.messageId': data.messageId });
-    if (email) {
-      await email.markAsOpened();
-    }
-  }
-
-  async handleClick(data) {
-    // Find email by message ID and mark as clicked
-    const { default: Email } = await import('../models/Email.js');
-    const email = await Email.findOne({ 'tracking.messageId': data.messageId });
-    if (email) {
-      await email.markAsClicked();
-    }
-  }
 }
 
 export default new EmailService();
@@ -0,0 +1,159 @@
+import Contact from '../models/Contact.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STAGES = ['new', 'engaged', 'at-risk', 'dormant'];
+
+// Points per signal. Deliveries only add to the score; the others are things the
+// contact did, so they also count as engagement for the lifecycle stage.
+const SIGNALS = {
+  email_open: { weight: 1, interaction: true },
+  email_click: { weight: 3, interaction: true },
+  sms_delivered: { weight: 0.5, interaction: false },
+  sms_click: { weight: 3, interaction: true },
+  sms_reply: { weight: 3, interaction: true }
+};
+
+// Scores halve every half-life. Each event decays the stored score up to its own time and
+// adds its weight, so nothing is ever recomputed from the event history.
+//
+// Sorting needs the current score, which changes with time. engagement.rank stores
+// log2(score) + scoredAt / halfLife: every score decays at the same rate, so ordering by
+// rank is the same as ordering by current score and stored ranks never go stale.
+class EngagementService {
+  constructor() {
+    this.halfLifeDays = parseFloat(process.env.ENGAGEMENT_HALF_LIFE_DAYS) || 30;
+    this.atRiskDays = parseInt(process.env.ENGAGEMENT_AT_RISK_DAYS) || 30;
+    this.dormantDays = parseInt(process.env.ENGAGEMENT_DORMANT_DAYS) || 90;
+    this.stageRefreshMs = 60 * 60 * 1000;
+    this.lastStageRefreshAt = null;
+  }
+
+  get halfLifeMs() {
+    return this.halfLifeDays * DAY_MS;
+  }
+
+  // Rank a contact needs for its current score to be at least `score`
+  rankFor(score, at = new Date()) {
+    return Math.log2(score) + at.getTime() / this.halfLifeMs;
+  }
+
+  // Engagement of contacts being merged into one. Scores add up once decayed to the same
+  // time, and the freshest stage wins; refreshStages moves it on if it has lapsed.
+  combine(engagements) {
+    const now = new Date();
+    const present = engagements.filter(Boolean);
+    const score = present.reduce((total, engagement) => {
+      if (!engagement.score || !engagement.scoredAt) {
+        return total;
+      }
+      const elapsed = Math.max(0, now.getTime() - new Date(engagement.scoredAt).getTime());
+      return total + engagement.score * Math.pow(0.5, elapsed / this.halfLifeMs);
+    }, 0);
+    const engagedAt = present.map(engagement => engagement.lastEngagedAt).filter(Boolean).map(date => new Date(date));
+    const stage = ['engaged', 'new', 'at-risk', 'dormant'].find(candidate =>
+      present.some(engagement => (engagement.stage || 'new') === candidate));
+
+    return {
+      score,
+      scoredAt: score > 0 ? now : null,
+      rank: score > 0 ? this.rankFor(score, now) : null,
+      lastEngagedAt: engagedAt.length > 0 ? new Date(Math.max(...engagedAt)) : null,
+      stage: stage || 'new'
+    };
+  }
+
+  // Apply one tracking event to a contact's score in a single atomic update.
+  // Late events are decayed by how old they are when they arrive.
+  async record(contactId, signal, occurredAt = new Date()) {
+    const { weight, interaction } = SIGNALS[signal] || {};
+    if (!contactId || !weight) {
+      return;
+    }
+
+    const now = new Date();
+    const eventAt = occurredAt > now ? now : occurredAt;
+    const scoredAt = { $ifNull: ['$engagement.scoredAt', eventAt] };
+    const at = { $max: [scoredAt, eventAt] };
+    const decayFrom = from => ({ $pow: [0.5, { $divide: [{ $subtract: [at, from] }, this.halfLifeMs] }] });
+
+    const update = {
+      'engagement.score': {
+        $add: [
+          { $multiply: [{ $ifNull: ['$engagement.score', 0] }, decayFrom(scoredAt)] },
+          { $multiply: [weight, decayFrom(eventAt)] }
+        ]
+      },
+      'engagement.scoredAt': at
+    };
+
+    if (interaction) {
+      update['engagement.lastEngagedAt'] = { $max: ['$engagement.lastEngagedAt', eventAt] };
+      if (eventAt > new Date(now.getTime() - this.atRiskDays * DAY_MS)) {
+        update['engagement.stage'] = 'engaged';
+      }
+    }
+
+    try {
+      await Contact.updateOne({ _id: contactId }, [
+        { $set: update },
+        {
+          $set: {
+            'engagement.rank': {
+              $add: [
+                { $log: ['$engagement.score', 2] },
+                { $divide: [{ $toLong: '$engagement.scoredAt' }, this.halfLifeMs] }
+              ]
+            }
+          }
+        }
+      ]);
+    } catch (error) {
+      // Scoring must never break tracking
+      logger.error(`Engagement update error (${signal}):`, error);
+    }
+  }
+
+  // Move contacts whose stage has lapsed with time. Contacts that never engaged count from
+  // when they were added. Only contacts that need to change are matched.
+  async refreshStages(force = false) {
+    const now = new Date();
+    if (!force && this.lastStageRefreshAt && now - this.lastStageRefreshAt < this.stageRefreshMs) {
+      return 0;
+    }
+    this.lastStageRefreshAt = now;
+
+    const idleSince = cutoff => ({
+      $or: [
+        { 'engagement.lastEngagedAt': { $lt: cutoff } },
+        { 'engagement.lastEngagedAt': null, createdAt: { $lt: cutoff } }
+      ]
+    });
+    const dormantCutoff = new Date(now.getTime() - this.dormantDays * DAY_MS);
+    const atRiskCutoff = new Date(now.getTime() - this.atRiskDays * DAY_MS);
+
+    const results = await Promise.all([
+      Contact.updateMany(
+        { 'engagement.stage': { $ne: 'dormant' }, ...idleSince(dormantCutoff) },
+        { $set: { 'engagement.stage': 'dormant' } }
+      ),
+      Contact.updateMany(
+        {
+          'engagement.stage': { $in: ['new', 'engaged', null] },
+          $and: [idleSince(atRiskCutoff), { $nor: [idleSince(dormantCutoff)] }]
+        },
+        { $set: { 'engagement.stage': 'at-risk' } }
+      ),
+      // Contacts from before scoring existed
+      Contact.updateMany(
+        { 'engagement.stage': null, 'engagement.lastEngagedAt': null, createdAt: { $gte: atRiskCutoff } },
+        { $set: { 'engagement.stage': 'new' } }
+      )
+    ]);
+
+    return results.reduce((total, result) => total + result.modifiedCount, 0);
+  }
+}
+
+export default new EngagementService();
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import ContactGroup from '../models/ContactGroup.js';
+import Campaign from '../models/Campaign.js';
+import Email from '../models/Email.js';
+import Suppression from '../models/Suppression.js';
+import emailEventService from './emailEventService.js';
+import { signToken, verifyToken, publicUrl } from '../utils/signedTokens.js';
+import logger from '../utils/logger.js';
+
+const TOKEN_PURPOSE = 'unsubscribe';
+const PLACEHOLDER = '{{unsubscribeUrl}}';
+
+class PreferenceService {
+  // Unsubscribe links never expire; the token only identifies the contact and the email it came from
+  tokenFor(contact, email = null) {
+    const payload = { c: contact._id.toString() };
+    if (email) {
+      payload.e = email._id.toString();
+    }
+    return signToken(TOKEN_PURPOSE, payload);
+  }
+
+  unsubscribeUrl(contact, email = null) {
+    return publicUrl(`/api/public/unsubscribe/${this.tokenFor(contact, email)}`);
+  }
+
+  // Add the one-click List-Unsubscribe headers and fill {{unsubscribeUrl}}, or append a footer
+  // when the content does not place the link itself
+  decorate(content, url) {
+    let html = content.html;
+    let text = content.text || '';
+
+    if (html.includes(PLACEHOLDER)) {
+      html = html.replaceAll(PLACEHOLDER, url);
+    } else {
+      const footer = `<p style="margin-top:32px;font-size:12px;color:#6b7280;text-align:center;">` +
+        `Don't want these emails? <a href="${url}" style="color:#6b7280;">Unsubscribe or manage your preferences</a>.</p>`;
+      html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+    }
+
+    if (text.includes(PLACEHOLDER)) {
+      text = text.replaceAll(PLACEHOLDER, url);
+    } else if (text) {
+      text = `${text}\n\n--\nUnsubscribe or manage your preferences: ${url}`;
+    }
+
+    return {
+      content: { html, text },
+      headers: {
+        'List-Unsubscribe': `<${url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
+  // Resolve a token to its contact and, when present, the email it was sent in
+  async resolve(token) {
+    const payload = verifyToken(TOKEN_PURPOSE, token);
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.c)) {
+      return null;
+    }
+
+    const contact = await Contact.findById(payload.c);
+    if (!contact) {
+      return null;
+    }
+
+    let email = null;
+    if (payload.e && mongoose.Types.ObjectId.isValid(payload.e)) {
+      email = await Email.findOne({ _id: payload.e, userId: contact.userId });
+    }
+
+    return { contact, email };
+  }
+
+  async getPreferences({ contact }) {
+    const [groups, campaignTopics] = await Promise.all([
+      ContactGroup.find({ userId: contact.userId, contacts: contact._id }).select('name description').sort({ name: 1 }),
+      Campaign.distinct('topic', { userId: contact.userId, topic: { $nin: [null, ''] } })
+    ]);
+
+    const optedOutGroups = new Set((contact.unsubscribedGroups || []).map(id => id.toString()));
+    const optedOutTopics = new Set(contact.unsubscribedTopics || []);
+    const topics = [...new Set([...campaignTopics, ...optedOutTopics])].sort();
+
+    return {
+      email: contact.email,
+      name: contact.name,
+      subscribed: contact.status !== 'unsubscribed',
+      groups: groups.map(group => ({
+        id: group._id.toString(),
+        name: group.name,
+        description: group.description || '',
+        subscribed: !optedOutGroups.has(group._id.toString())
+      })),
+      topics: topics.map(topic => ({
+        name: topic,
+        subscribed: !optedOutTopics.has(topic)
+      }))
+    };
+  }
+
+  // Opt out of all email from this sender. When the token came from an email the opt-out is
+  // recorded as an event on it, so campaign stats count it once.
+  async unsubscribeAll({ contact, email }, source) {
+    if (email) {
+      await emailEventService.applyEvent(email, {
+        type: 'unsub',
+        source,
+        occurredAt: new Date(),
+        dedupeKey: `unsubscribe:${email._id}`
+      });
+    }
+
+    contact.status = 'unsubscribed';
+    contact.unsubscribedAt = new Date();
+    await contact.save();
+
+    await Suppression.suppress({
+      userId: contact.userId,
+      channel: 'email',
+      value: contact.email,
+      reason: 'unsubscribe',
+      source,
+      metadata: {
+        emailId: email ? email._id : null,
+        campaignId: email && email.metadata ? email.metadata.campaignId : null
+      }
+    });
+
+    logger.info(`Contact ${contact._id} unsubscribed via ${source}`);
+  }
+
+  // Keep only the groups and topics the contact left ticked
+  async updatePreferences(context, { groups = [], topics = [] }) {
+    const current = await this.getPreferences(context);
+    const keepGroups = new Set(groups.map(String));
+    const keepTopics = new Set(topics.map(String));
+
+    context.contact.unsubscribedGroups = current.groups
+      .filter(group => !keepGroups.has(group.id))
+      .map(group => group.id);
+    context.contact.unsubscribedTopics = current.topics
+      .filter(topic => !keepTopics.has(topic.name))
+      .map(topic => topic.name);
+    await context.contact.save();
+
+    return this.getPreferences(context);
+  }
+
+  // Undo an unsubscribe. Complaints and hard bounces stay suppressed.
+  async resubscribe({ contact }) {
+    if (contact.status !== 'unsubscribed') {
+      return;
+    }
+
+    contact.status = 'active';
+    contact.unsubscribedAt = null;
+    await contact.save();
+
+    await Suppression.deleteOne({
+      userId: contact.userId,
+      channel: 'email',
+      value: contact.email,
+      reason: 'unsubscribe'
+    });
+
+    logger.info(`Contact ${contact._id} resubscribed via preference center`);
+  }
+}
+
+export default new PreferenceService();
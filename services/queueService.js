@@ -0,0 +1,312 @@
+import os from 'os';
+import crypto from 'crypto';
+import OutboundJob from '../models/OutboundJob.js';
+import Email from '../models/Email.js';
+import SMS from '../models/SMS.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import logger from '../utils/logger.js';
+
+// Parse "mailjet=10,twilio=5" into { mailjet: 10, twilio: 5 }
+const parseLimits = (value) => {
+  const limits = {};
+  for (const pair of (value || '').split(',')) {
+    const [name, limit] = pair.split('=').map(part => part && part.trim());
+    if (name && parseInt(limit, 10) > 0) {
+      limits[name] = parseInt(limit, 10);
+    }
+  }
+  return limits;
+};
+
+class QueueService {
+  constructor() {
+    this.pollMs = 2000;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.defaultConcurrency = 5;
+    this.concurrency = parseLimits(process.env.QUEUE_CONCURRENCY);
+    this.backoffBaseMs = 30 * 1000;
+    this.backoffMaxMs = 60 * 60 * 1000;
+    this.maxAttempts = 5;
+    this.timer = null;
+    this.polling = false;
+    this.active = new Map(); // provider -> in-flight job count on this worker
+    this.inFlight = new Set();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollMs);
+    logger.info(`Outbound queue started (worker ${this.workerId})`);
+    this.poll();
+  }
+
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Let in-flight sends finish so their jobs are not left locked
+    await Promise.allSettled([...this.inFlight]);
+    logger.info('Outbound queue stopped');
+  }
+
+  limitFor(provider) {
+    return this.concurrency[provider] || this.defaultConcurrency;
+  }
+
+  // Providers that still have free slots on this worker
+  availableProviders(providers) {
+    return providers.filter(provider => (this.active.get(provider) || 0) < this.limitFor(provider));
+  }
+
+  // Exponential backoff with jitter: 30s, 1m, 2m, 4m... capped at one hour
+  backoffFor(attempts) {
+    const delay = Math.min(this.backoffBaseMs * 2 ** Math.max(0, attempts - 1), this.backoffMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async providerForEmail(userId) {
+    const preferred = await emailService.getUserProvider(userId);
+    const [provider] = emailService.getProviderChain(preferred);
+    return provider ? provider.name : 'email';
+  }
+
+  providerForSms() {
+    return smsService.provider;
+  }
+
+  // Queue saved Email records. They stay pending and owned by the queue until delivered.
+  async enqueueEmails(emails, { batchId = this.createBatchId() } = {}) {
+    const providers = new Map();
+    const jobs = [];
+
+    for (const email of emails) {
+      const key = email.userId.toString();
+      if (!providers.has(key)) {
+        providers.set(key, await this.providerForEmail(email.userId));
+      }
+
+      jobs.push({
+        type: 'email',
+        userId: email.userId,
+        messageId: email._id,
+        provider: providers.get(key),
+        batchId,
+        runAt: email.scheduledAt && email.scheduledAt > new Date() ? email.scheduledAt : new Date(),
+        maxAttempts: this.maxAttempts
+      });
+    }
+
+    // Take the records away from the scheduler before the jobs become visible
+    await Email.updateMany({ _id: { $in: emails.map(email => email._id) } }, { claimedBy: 'queue', claimedAt: new Date() });
+    await OutboundJob.insertMany(jobs);
+    return { batchId, queued: jobs.length };
+  }
+
+  async enqueueSms(smsList, { batchId = this.createBatchId() } = {}) {
+    const provider = this.providerForSms();
+    const jobs = smsList.map(sms => ({
+      type: 'sms',
+      userId: sms.userId,
+      messageId: sms._id,
+      provider,
+      batchId,
+      runAt: sms.scheduledAt && sms.scheduledAt > new Date() ? sms.scheduledAt : new Date(),
+      maxAttempts: this.maxAttempts
+    }));
+
+    await SMS.updateMany({ _id: { $in: smsList.map(sms => sms._id) } }, { claimedBy: 'queue', claimedAt: new Date() });
+    await OutboundJob.insertMany(jobs);
+    return { batchId, queued: jobs.length };
+  }
+
+  createBatchId() {
+    return `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const providers = await OutboundJob.distinct('provider', { status: { $in: ['queued', 'processing'] } });
+
+      // Keep claiming until every provider with work is at its limit or the queue is empty
+      let available = this.availableProviders(providers);
+      while (available.length > 0) {
+        const job = await OutboundJob.claimNext(this.workerId, available);
+        if (!job) {
+          break;
+        }
+
+        this.run(job);
+        available = this.availableProviders(providers);
+      }
+    } catch (error) {
+      logger.error('Outbound queue poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  run(job) {
+    this.active.set(job.provider, (this.active.get(job.provider) || 0) + 1);
+
+    const task = this.process(job)
+      .catch(error => logger.error(`Outbound job ${job._id} error:`, error))
+      .finally(() => {
+        this.active.set(job.provider, this.active.get(job.provider) - 1);
+        this.inFlight.delete(task);
+      });
+
+    this.inFlight.add(task);
+    return task;
+  }
+
+  async process(job) {
+    const Model = job.type === 'sms' ? SMS : Email;
+
+    // Take the message atomically; only a pending record still owned by the queue is ours.
+    // Nothing left to deliver when it was deleted, already sent or claimed by someone else.
+    const message = await Model.findOneAndUpdate(
+      { _id: job.messageId, status: 'pending', claimedBy: 'queue' },
+      { claimedAt: new Date() },
+      { new: true }
+    );
+
+    if (!message) {
+      await job.markCompleted();
+      return;
+    }
+
+    const suppressedReason = job.type === 'sms'
+      ? await smsService.getSuppression(message)
+      : await emailService.getSuppression(message);
+
+    // Suppressed recipients are a final outcome, not something to retry
+    if (suppressedReason) {
+      const reason = `Recipient suppressed (${suppressedReason})`;
+      if (job.type === 'sms') {
+        await message.markAsFailed(reason, 'SUPPRESSED');
+      } else {
+        await message.markAsFailed(reason);
+      }
+      job.lastError = reason;
+      await job.markCompleted();
+      return;
+    }
+
+    try {
+      if (job.type === 'sms') {
+        const result = await smsService.sendSMS(message);
+        await message.markAsSent(result.messageId, result.sid);
+      } else {
+        const result = await emailService.sendEmail(message);
+        await message.markAsSent(result);
+      }
+
+      await job.markCompleted();
+    } catch (error) {
+      await job.recordFailure(error.message, this.backoffFor(job.attempts));
+
+      if (job.status === 'dead') {
+        logger.error(`Outbound ${job.type} job ${job._id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+        if (job.type === 'sms') {
+          await message.markAsFailed(error.message, error.code);
+        } else {
+          await message.markAsFailed(error.message);
+        }
+      } else {
+        logger.warn(`Outbound ${job.type} job ${job._id} attempt ${job.attempts} failed, retrying at ${job.runAt.toISOString()}`);
+      }
+    }
+  }
+
+  // Move dead jobs back to the queue with a fresh attempt budget
+  async retry(filter = {}) {
+    const match = { ...filter, status: 'dead' };
+    const jobs = await OutboundJob.find(match).select('type messageId');
+
+    const result = await OutboundJob.updateMany(match, {
+      status: 'queued',
+      attempts: 0,
+      runAt: new Date(),
+      deadAt: null,
+      lockedBy: null,
+      lockedAt: null
+    });
+
+    // Dead-lettering marked the messages failed; reopen them for delivery, still owned by the queue
+    const emailIds = jobs.filter(job => job.type === 'email').map(job => job.messageId);
+    const smsIds = jobs.filter(job => job.type === 'sms').map(job => job.messageId);
+    if (emailIds.length > 0) {
+      await Email.updateMany({ _id: { $in: emailIds }, status: 'failed' }, { status: 'pending', errorMessage: null, claimedBy: 'queue', claimedAt: new Date() });
+    }
+    if (smsIds.length > 0) {
+      await SMS.updateMany({ _id: { $in: smsIds }, status: 'failed' }, { status: 'pending', errorMessage: null, errorCode: null, claimedBy: 'queue', claimedAt: new Date() });
+    }
+
+    return result.modifiedCount;
+  }
+
+  async purge(filter = {}) {
+    const result = await OutboundJob.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  async getBatch(batchId) {
+    const counts = await OutboundJob.getStatusCounts({ batchId });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+      return null;
+    }
+
+    return {
+      batchId,
+      total,
+      counts,
+      done: counts.queued === 0 && counts.processing === 0
+    };
+  }
+
+  async getStatus() {
+    const [counts, byProvider] = await Promise.all([
+      OutboundJob.getStatusCounts(),
+      OutboundJob.aggregate([
+        { $match: { status: { $in: ['queued', 'processing', 'dead'] } } },
+        { $group: { _id: { provider: '$provider', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const providers = {};
+    for (const row of byProvider) {
+      const { provider, status } = row._id;
+      providers[provider] = providers[provider] || {
+        limit: this.limitFor(provider),
+        active: this.active.get(provider) || 0,
+        queued: 0,
+        processing: 0,
+        dead: 0
+      };
+      providers[provider][status] = row.count;
+    }
+
+    return {
+      running: !!this.timer,
+      workerId: this.workerId,
+      counts,
+      providers
+    };
+  }
+}
+
+export default new QueueService();
@@ -0,0 +1,146 @@
+import os from 'os';
+import crypto from 'crypto';
+import Email from '../models/Email.js';
+import SMS from '../models/SMS.js';
+import Campaign from '../models/Campaign.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+import campaignService from './campaignService.js';
+import engagementService from './engagementService.js';
+import logger from '../utils/logger.js';
+
+class SchedulerService {
+  constructor() {
+    this.intervalMs = 30 * 1000; // Poll every 30 seconds
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    this.ticking = false;
+    this.startedAt = null;
+    this.lastRunAt = null;
+    this.lastRun = null;
+    this.lastError = null;
+    this.totals = {
+      runs: 0,
+      emails: { sent: 0, failed: 0 },
+      sms: { sent: 0, failed: 0 },
+      campaigns: { started: 0, failed: 0, resumed: 0 },
+      abTests: { decided: 0, failed: 0 },
+      stageChanges: 0
+    };
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.startedAt = new Date();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    logger.info(`Scheduler started (worker ${this.workerId}, every ${this.intervalMs / 1000}s)`);
+
+    // Pick up anything that became due while the server was down
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Scheduler stopped');
+  }
+
+  async tick() {
+    // Skip if the previous run is still going
+    if (this.ticking) {
+      return null;
+    }
+
+    this.ticking = true;
+    const startedAt = Date.now();
+
+    try {
+      const emailResults = await emailService.sendScheduledEmails(this.workerId);
+      const smsResults = await smsService.sendScheduledSMS(this.workerId);
+      const campaignResults = await campaignService.startScheduledCampaigns();
+      const abTestResults = await campaignService.decideAbTests();
+      const resumedResults = await campaignService.resumeStalledCampaigns();
+      // Throttled to once an hour inside the service
+      const stageChanges = await engagementService.refreshStages();
+
+      const summary = {
+        emails: this.countResults(emailResults),
+        sms: this.countResults(smsResults),
+        campaigns: this.countResults(campaignResults),
+        abTests: this.countResults(abTestResults),
+        resumedCampaigns: resumedResults.length,
+        stageChanges,
+        durationMs: Date.now() - startedAt
+      };
+
+      this.totals.runs += 1;
+      this.totals.emails.sent += summary.emails.succeeded;
+      this.totals.emails.failed += summary.emails.failed;
+      this.totals.sms.sent += summary.sms.succeeded;
+      this.totals.sms.failed += summary.sms.failed;
+      this.totals.campaigns.started += summary.campaigns.succeeded;
+      this.totals.campaigns.failed += summary.campaigns.failed;
+      this.totals.campaigns.resumed += summary.resumedCampaigns;
+      this.totals.abTests.decided += summary.abTests.succeeded;
+      this.totals.abTests.failed += summary.abTests.failed;
+      this.totals.stageChanges += stageChanges;
+
+      this.lastRun = summary;
+      this.lastError = null;
+      return summary;
+    } catch (error) {
+      logger.error('Scheduler tick error:', error);
+      this.lastError = { message: error.message, at: new Date() };
+      return null;
+    } finally {
+      this.lastRunAt = new Date();
+      this.ticking = false;
+    }
+  }
+
+  countResults(results) {
+    const succeeded = results.filter(r => r.success).length;
+    return { succeeded, failed: results.length - succeeded };
+  }
+
+  async getStatus() {
+    const now = new Date();
+    const duePending = { status: 'pending', scheduledAt: { $lte: now } };
+    const futurePending = { status: 'pending', scheduledAt: { $gt: now } };
+
+    const [dueEmails, upcomingEmails, dueSMS, upcomingSMS, dueCampaigns, upcomingCampaigns] = await Promise.all([
+      Email.countDocuments(duePending),
+      Email.countDocuments(futurePending),
+      SMS.countDocuments(duePending),
+      SMS.countDocuments(futurePending),
+      Campaign.countDocuments({ status: 'scheduled', scheduledAt: { $lte: now } }),
+      Campaign.countDocuments({ status: 'scheduled', scheduledAt: { $gt: now } })
+    ]);
+
+    return {
+      running: !!this.timer,
+      busy: this.ticking,
+      workerId: this.workerId,
+      intervalMs: this.intervalMs,
+      startedAt: this.startedAt,
+      lastRunAt: this.lastRunAt,
+      lastRun: this.lastRun,
+      lastError: this.lastError,
+      totals: this.totals,
+      queue: {
+        emails: { due: dueEmails, upcoming: upcomingEmails },
+        sms: { due: dueSMS, upcoming: upcomingSMS },
+        campaigns: { due: dueCampaigns, upcoming: upcomingCampaigns }
+      }
+    };
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,362 @@
+import Contact from '../models/Contact.js';
+import EmailEvent from '../models/EmailEvent.js';
+import CustomFieldDefinition from '../models/CustomFieldDefinition.js';
+import engagementService, { STAGES } from './engagementService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STRING_FIELDS = ['name', 'email', 'phone', 'company', 'position', 'location', 'website', 'source'];
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastContacted', 'unsubscribedAt'];
+const CUSTOM_FIELD = /^customFields\.([A-Za-z0-9_-]{1,50})$/;
+
+// Defined custom fields compare by their type; undefined ones as text
+const CUSTOM_FIELD_TYPES = {
+  text: 'string',
+  select: 'string',
+  number: 'number',
+  date: 'date',
+  boolean: 'boolean',
+  multiselect: 'tags'
+};
+
+// Engagement fields map to email event types
+const ENGAGEMENT_FIELDS = {
+  'engagement.opened': 'open',
+  'engagement.clicked': 'click'
+};
+
+const OPERATORS = {
+  stage: ['equals', 'not_equals', 'in', 'not_in'],
+  score: ['greater_than', 'less_than'],
+  string: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'in', 'not_in', 'exists', 'not_exists'],
+  tags: ['has_any', 'has_all', 'has_none', 'exists', 'not_exists'],
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'exists', 'not_exists'],
+  boolean: ['is_true', 'is_false', 'exists', 'not_exists'],
+  date: ['before', 'after', 'within_last', 'not_within_last', 'exists', 'not_exists'],
+  engagement: ['within_last', 'not_within_last', 'ever', 'never']
+};
+
+const NO_VALUE = ['exists', 'not_exists', 'ever', 'never', 'is_true', 'is_false'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resolves rule-based (dynamic) contact groups. Rules nest:
+//   { combinator: 'and' | 'or', rules: [rule | group, ...] }
+//   { field: 'tags', operator: 'has_any', value: ['vip'] }
+// Engagement rules count only human opens and clicks, not proxies or scanners.
+// customFields.<key> rules use the operators of the field's defined type.
+class SegmentService {
+  constructor() {
+    this.maxDepth = 5;
+    this.maxRules = 100;
+    this.maxListSize = 100;
+    this.maxDays = 3650;
+  }
+
+  segmentError(message) {
+    const error = new Error(message);
+    error.name = 'SegmentError';
+    error.statusCode = 400;
+    return error;
+  }
+
+  fieldType(field, definitions = new Map()) {
+    const custom = CUSTOM_FIELD.exec(field || '');
+    if (custom) {
+      const definition = definitions.get(custom[1]);
+      return definition ? CUSTOM_FIELD_TYPES[definition.type] : 'string';
+    }
+    if (STRING_FIELDS.includes(field)) return 'string';
+    if (field === 'tags') return 'tags';
+    if (DATE_FIELDS.includes(field)) return 'date';
+    if (ENGAGEMENT_FIELDS[field]) return 'engagement';
+    if (field === 'engagement.stage') return 'stage';
+    if (field === 'engagement.score') return 'score';
+    return null;
+  }
+
+  isGroup(node) {
+    return node && typeof node === 'object' && Array.isArray(node.rules);
+  }
+
+  // Throw a SegmentError (statusCode 400) describing the first problem found. With a
+  // userId, custom fields are checked against that user's field definitions.
+  async validate(rules, userId = null) {
+    const definitions = userId ? await CustomFieldDefinition.getForUser(userId) : new Map();
+    return this.validateNode(rules, 'rules', 0, { rules: 0 }, definitions);
+  }
+
+  validateNode(node, path, depth, counter, definitions) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw this.segmentError(`${path} must be a rule or a group of rules`);
+    }
+
+    if (this.isGroup(node)) {
+      if (depth >= this.maxDepth) {
+        throw this.segmentError(`${path} is nested more than ${this.maxDepth} levels deep`);
+      }
+      if (!['and', 'or'].includes(node.combinator || 'and')) {
+        throw this.segmentError(`${path}.combinator must be and or or`);
+      }
+      if (node.rules.length === 0) {
+        throw this.segmentError(`${path}.rules must not be empty`);
+      }
+      node.rules.forEach((child, index) => this.validateNode(child, `${path}.rules[${index}]`, depth + 1, counter, definitions));
+      return true;
+    }
+
+    counter.rules += 1;
+    if (counter.rules > this.maxRules) {
+      throw this.segmentError(`A segment can have at most ${this.maxRules} rules`);
+    }
+
+    const type = this.fieldType(node.field, definitions);
+    if (!type) {
+      throw this.segmentError(`${path}.field "${node.field}" is not supported`);
+    }
+    if (!OPERATORS[type].includes(node.operator)) {
+      throw this.segmentError(`${path}.operator must be one of: ${OPERATORS[type].join(', ')}`);
+    }
+    if (!NO_VALUE.includes(node.operator)) {
+      this.validateValue(type, node, path);
+    }
+    return true;
+  }
+
+  validateValue(type, { operator, value }, path) {
+    const isText = item => typeof item === 'string' && item.length <= 200;
+    const isList = list => Array.isArray(list) && list.length > 0 && list.length <= this.maxListSize && list.every(isText);
+
+    if (['within_last', 'not_within_last'].includes(operator)) {
+      if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > this.maxDays) {
+        throw this.segmentError(`${path}.value must be a number of days between 1 and ${this.maxDays}`);
+      }
+      return;
+    }
+
+    if (type === 'stage') {
+      const stages = Array.isArray(value) ? value : [value];
+      if (stages.length === 0 || !stages.every(stage => STAGES.includes(stage))
+        || Array.isArray(value) !== ['in', 'not_in'].includes(operator)) {
+        throw this.segmentError(`${path}.value must be ${['in', 'not_in'].includes(operator) ? 'a list of' : 'one of'}: ${STAGES.join(', ')}`);
+      }
+      return;
+    }
+
+    if (type === 'score') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw this.segmentError(`${path}.value must be a number of at least 0`);
+      }
+      return;
+    }
+
+    if (type === 'number') {
+      const isNumber = item => typeof item === 'number' && Number.isFinite(item);
+      if (operator === 'between') {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber) || value[0] > value[1]) {
+          throw this.segmentError(`${path}.value must be [min, max]`);
+        }
+      } else if (!isNumber(value)) {
+        throw this.segmentError(`${path}.value must be a number`);
+      }
+      return;
+    }
+
+    if (type === 'date') {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw this.segmentError(`${path}.value must be a date`);
+      }
+      return;
+    }
+
+    if (type === 'tags' || ['in', 'not_in'].includes(operator)) {
+      if (!(isList(value) || (type === 'tags' && isText(value) && value))) {
+        throw this.segmentError(`${path}.value must be a list of up to ${this.maxListSize} values`);
+      }
+      return;
+    }
+
+    if (!isText(value) || (operator !== 'equals' && operator !== 'not_equals' && !value)) {
+      throw this.segmentError(`${path}.value must be text of up to 200 characters`);
+    }
+  }
+
+  // Translate validated rules into a Contact query for a user
+  async buildQuery(userId, node, definitions = null) {
+    const defined = definitions || await CustomFieldDefinition.getForUser(userId);
+
+    if (this.isGroup(node)) {
+      const parts = await Promise.all(node.rules.map(child => this.buildQuery(userId, child, defined)));
+      return { [(node.combinator || 'and') === 'or' ? '$or' : '$and']: parts };
+    }
+
+    const type = this.fieldType(node.field, defined);
+    if (type === 'engagement') {
+      return this.engagementCondition(userId, node);
+    }
+    return this.fieldCondition(type, node);
+  }
+
+  fieldCondition(type, { field, operator, value }) {
+    const since = () => new Date(Date.now() - Number(value) * DAY_MS);
+    const exact = text => new RegExp(`^${escapeRegex(text)}$`, 'i');
+
+    // Tags and multiselect custom fields are both lists
+    if (type === 'tags') {
+      const tags = Array.isArray(value) ? value : [value];
+      switch (operator) {
+        case 'has_any': return { [field]: { $in: tags } };
+        case 'has_all': return { [field]: { $all: tags } };
+        case 'has_none': return { [field]: { $nin: tags } };
+        case 'exists': return { [`${field}.0`]: { $exists: true } };
+        default: return { [`${field}.0`]: { $exists: false } };
+      }
+    }
+
+    if (type === 'number') {
+      switch (operator) {
+        case 'equals': return { [field]: value };
+        case 'not_equals': return { [field]: { $ne: value } };
+        case 'greater_than': return { [field]: { $gt: value } };
+        case 'less_than': return { [field]: { $lt: value } };
+        case 'between': return { [field]: { $gte: value[0], $lte: value[1] } };
+        case 'exists': return { [field]: { $type: 'number' } };
+        default: return { [field]: { $not: { $type: 'number' } } };
+      }
+    }
+
+    if (type === 'boolean') {
+      switch (operator) {
+        case 'is_true': return { [field]: true };
+        case 'is_false': return { [field]: false };
+        case 'exists': return { [field]: { $type: 'bool' } };
+        default: return { [field]: { $not: { $type: 'bool' } } };
+      }
+    }
+
+    if (type === 'stage') {
+      // Contacts from before lifecycle stages existed are new until the scheduler moves them
+      const stages = (Array.isArray(value) ? value : [value]).flatMap(stage => stage === 'new' ? ['new', null] : [stage]);
+      return ['equals', 'in'].includes(operator)
+        ? { [field]: { $in: stages } }
+        : { [field]: { $nin: stages } };
+    }
+
+    if (type === 'score') {
+      // Compare against the rank the score needs now, so decay is accounted for
+      if (value === 0) {
+        return operator === 'greater_than' ? { 'engagement.rank': { $ne: null } } : { _id: { $in: [] } };
+      }
+      const rank = engagementService.rankFor(value);
+      return operator === 'greater_than'
+        ? { 'engagement.rank': { $gt: rank } }
+        : { $or: [{ 'engagement.rank': { $lt: rank } }, { 'engagement.rank': null }] };
+    }
+
+    if (type === 'date') {
+      switch (operator) {
+        case 'before': return { [field]: { $lt: new Date(value) } };
+        case 'after': return { [field]: { $gt: new Date(value) } };
+        case 'within_last': return { [field]: { $gte: since() } };
+        // Never contacted counts as not contacted recently
+        case 'not_within_last': return { $or: [{ [field]: { $lt: since() } }, { [field]: null }] };
+        case 'exists': return { [field]: { $ne: null } };
+        default: return { [field]: null };
+      }
+    }
+
+    switch (operator) {
+      case 'equals': return { [field]: exact(value) };
+      case 'not_equals': return { [field]: { $not: exact(value) } };
+      case 'contains': return { [field]: new RegExp(escapeRegex(value), 'i') };
+      case 'not_contains': return { [field]: { $not: new RegExp(escapeRegex(value), 'i') } };
+      case 'starts_with': return { [field]: new RegExp(`^${escapeRegex(value)}`, 'i') };
+      case 'ends_with': return { [field]: new RegExp(`${escapeRegex(value)}$`, 'i') };
+      case 'in': return { [field]: { $in: value.map(exact) } };
+      case 'not_in': return { [field]: { $nin: value.map(exact) } };
+      case 'exists': return { [field]: { $exists: true, $nin: [null, ''] } };
+      default: return { $or: [{ [field]: { $exists: false } }, { [field]: { $in: [null, ''] } }] };
+    }
+  }
+
+  async engagementCondition(userId, { field, operator, value }) {
+    const match = {
+      userId,
+      type: ENGAGEMENT_FIELDS[field],
+      contactId: { $ne: null },
+      classification: { $in: ['human', null] }
+    };
+    if (['within_last', 'not_within_last'].includes(operator)) {
+      match.occurredAt = { $gte: new Date(Date.now() - Number(value) * DAY_MS) };
+    }
+
+    const contactIds = await EmailEvent.distinct('contactId', match);
+    return ['within_last', 'ever'].includes(operator)
+      ? { _id: { $in: contactIds } }
+      : { _id: { $nin: contactIds } };
+  }
+
+  // Query for the active contacts in a group: its rules for a dynamic segment,
+  // otherwise its stored member list
+  async membersQuery(group) {
+    const base = { userId: group.userId, status: 'active' };
+    if (!group.isDynamic) {
+      return { ...base, _id: { $in: group.contacts } };
+    }
+    if (!group.rules) {
+      return { ...base, _id: { $in: [] } };
+    }
+    return { $and: [base, await this.buildQuery(group.userId, group.rules)] };
+  }
+
+  async resolveIds(group) {
+    const contacts = await Contact.find(await this.membersQuery(group)).select('_id');
+    return contacts.map(contact => contact._id);
+  }
+
+  async countMembers(group) {
+    return Contact.countDocuments(await this.membersQuery(group));
+  }
+
+  // Live count and a sample of the contacts a set of rules matches right now
+  async preview(userId, rules, sampleSize = 10) {
+    await this.validate(rules, userId);
+    const query = await this.membersQuery({ userId, isDynamic: true, rules });
+
+    const [count, sample] = await Promise.all([
+      Contact.countDocuments(query),
+      Contact.find(query)
+        .sort({ createdAt: -1 })
+        .limit(sampleSize)
+        .select('name email phone company tags status createdAt lastContacted')
+    ]);
+
+    return { count, sample };
+  }
+
+  // Rules equivalent to the legacy tags/company/location/customFields filters
+  rulesFromFilters(filters = {}) {
+    const rules = [];
+
+    if (filters.tags && filters.tags.length > 0) {
+      rules.push({ field: 'tags', operator: 'has_any', value: filters.tags });
+    }
+    if (filters.company) {
+      rules.push({ field: 'company', operator: 'contains', value: filters.company });
+    }
+    if (filters.location) {
+      rules.push({ field: 'location', operator: 'contains', value: filters.location });
+    }
+
+    const customFields = filters.customFields instanceof Map
+      ? Object.fromEntries(filters.customFields)
+      : filters.customFields || {};
+    for (const [key, value] of Object.entries(customFields)) {
+      rules.push({ field: `customFields.${key}`, operator: 'equals', value: String(value) });
+    }
+
+    return rules.length > 0 ? { combinator: 'and', rules } : null;
+  }
+}
+
+export default new SegmentService();
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import ShortLink from '../models/ShortLink.js';
+import SMS from '../models/SMS.js';
+import Campaign from '../models/Campaign.js';
+import botDetectionService from './botDetectionService.js';
+import engagementService from './engagementService.js';
+import { publicUrl } from '../utils/signedTokens.js';
+import { addUtmParams } from '../utils/utm.js';
+import logger from '../utils/logger.js';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+class ShortLinkService {
+  constructor() {
+    this.codeLength = 7; // 62^7 codes, plenty to keep guessing impractical
+    this.maxAttempts = 5;
+  }
+
+  baseUrl() {
+    return (process.env.SHORT_LINK_BASE_URL || publicUrl()).replace(/\/+$/, '');
+  }
+
+  shortUrl(code) {
+    return `${this.baseUrl()}/s/${code}`;
+  }
+
+  isValidCode(code) {
+    return typeof code === 'string' && /^[A-Za-z0-9]{4,16}$/.test(code);
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(this.codeLength);
+    return Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join('');
+  }
+
+  // Punctuation ending a sentence is not part of the link
+  splitTrailing(match) {
+    const url = match.replace(/[.,;:!?)]+$/, '');
+    return [url, match.slice(url.length)];
+  }
+
+  // Apply fn once to every distinct URL in the message and substitute the results
+  async rewriteUrls(message, fn) {
+    const urls = new Set((message.match(URL_PATTERN) || []).map(match => this.splitTrailing(match)[0]));
+    const replacements = new Map();
+    for (const url of urls) {
+      replacements.set(url, await fn(url));
+    }
+
+    return message.replace(URL_PATTERN, match => {
+      const [url, trailing] = this.splitTrailing(match);
+      return `${replacements.get(url)}${trailing}`;
+    });
+  }
+
+  async create(fields) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        return await ShortLink.create({ ...fields, code: this.generateCode() });
+      } catch (error) {
+        // Code collision, try another
+        if (error.code !== 11000 || attempt === this.maxAttempts) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Replace the URLs in an SMS with short links unique to this message. URLs already shorter
+  // than a short link, and our own short links, are left alone. Returns the new message.
+  async shortenMessage(sms, { utm = null } = {}) {
+    const ownPrefix = `${this.baseUrl()}/s/`;
+    const shortLength = this.shortUrl(this.generateCode()).length;
+
+    return this.rewriteUrls(sms.message, async (url) => {
+      const destination = addUtmParams(url, utm);
+      if (url.startsWith(ownPrefix) || url.length <= shortLength) {
+        return destination;
+      }
+
+      const link = await this.create({
+        url: destination,
+        originalUrl: url,
+        userId: sms.userId,
+        smsId: sms._id,
+        campaignId: sms.metadata ? sms.metadata.campaignId : null,
+        contactId: sms.metadata ? sms.metadata.contactId : null
+      });
+      return this.shortUrl(link.code);
+    });
+  }
+
+  // The message as shortenMessage or tagMessage would rewrite it, with a placeholder code in
+  // place of each new short link, so its length is known before any link is created
+  previewMessage(message, { shorten = true, utm = null } = {}) {
+    if (!shorten) {
+      return this.tagMessage(message, utm);
+    }
+
+    const ownPrefix = `${this.baseUrl()}/s/`;
+    const placeholder = this.shortUrl('x'.repeat(this.codeLength));
+
+    return this.rewriteUrls(message, async (url) => {
+      if (url.startsWith(ownPrefix) || url.length <= placeholder.length) {
+        return addUtmParams(url, utm);
+      }
+      return placeholder;
+    });
+  }
+
+  // Add UTM parameters without shortening
+  tagMessage(message, utm) {
+    return utm ? this.rewriteUrls(message, async url => addUtmParams(url, utm)) : message;
+  }
+
+  // Count the click and return the destination, or null for an unknown code.
+  // Link previews (e.g. iMessage) and scanners are counted but not as human clicks.
+  async recordClick(code, req) {
+    if (!this.isValidCode(code)) {
+      return null;
+    }
+
+    const details = botDetectionService.requestDetails(req);
+    const rule = botDetectionService.classifyRequest({ type: 'click', ...details });
+    const human = !rule;
+    const now = new Date();
+
+    const before = await ShortLink.findOneAndUpdate(
+      { code },
+      {
+        $inc: { clicks: 1, humanClicks: human ? 1 : 0 },
+        $set: { lastClickedAt: now },
+        $min: { firstClickedAt: now }
+      },
+      { new: false }
+    );
+
+    if (!before) {
+      return null;
+    }
+
+    if (before.smsId) {
+      try {
+        await this.applySmsClick(before, human, now);
+      } catch (error) {
+        logger.error('Record SMS click error:', error);
+      }
+    }
+
+    return before.url;
+  }
+
+  async applySmsClick(link, human, clickedAt) {
+    const sms = await SMS.findOneAndUpdate(
+      { _id: link.smsId },
+      {
+        $inc: { 'tracking.clickCount': 1, 'tracking.humanClickCount': human ? 1 : 0 },
+        $set: { 'tracking.lastClicked': clickedAt }
+      },
+      { new: false }
+    );
+
+    if (human) {
+      const contactId = link.contactId || (sms && sms.metadata ? sms.metadata.contactId : null);
+      await engagementService.record(contactId, 'sms_click', clickedAt);
+    }
+
+    if (!sms || !link.campaignId) {
+      return;
+    }
+
+    // Campaign counters are unique recipients, raw and filtered
+    const inc = {};
+    if (!sms.tracking.clickCount) {
+      inc['stats.clicked'] = 1;
+    }
+    if (human && !sms.tracking.humanClickCount) {
+      inc['stats.humanClicked'] = 1;
+    }
+    if (Object.keys(inc).length > 0) {
+      await Campaign.updateOne({ _id: link.campaignId }, { $inc: inc });
+    }
+  }
+
+  // Short links created for a message, e.g. to show in an API response
+  async linksFor(smsId) {
+    const links = await ShortLink.find({ smsId }).select('code url originalUrl clicks humanClicks');
+    return links.map(link => ({
+      code: link.code,
+      shortUrl: this.shortUrl(link.code),
+      url: link.url,
+      originalUrl: link.originalUrl,
+      clicks: link.clicks,
+      humanClicks: link.humanClicks
+    }));
+  }
+}
+
+export default new ShortLinkService();
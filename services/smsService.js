@@ -1,11 +1,111 @@
+import fs from 'fs';
 import twilio from 'twilio';
+import MessageSink from '../utils/messageSink.js';
+import { normalizePhone } from '../utils/phone.js';
+import { analyzeMessage } from '../utils/smsEncoding.js';
+import { publicUrl } from '../utils/signedTokens.js';
 import logger from '../utils/logger.js';
 
+// Carrier-standard keywords, matched against the whole message
+const KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'],
+  start: ['START', 'UNSTOP'],
+  help: ['HELP', 'INFO']
+};
+
 class SMSService {
   constructor() {
     this.client = null;
     this.initialized = false;
     // Don't initialize automatically - only when needed
+
+    // SMS_PROVIDER=file writes messages to disk instead of calling Twilio
+    this.provider = process.env.SMS_PROVIDER || 'twilio';
+    this.sink = this.provider === 'file'
+      ? new MessageSink(process.env.SMS_SINK_DIR || 'storage/sms', 'sms')
+      : null;
+
+    // Compliance replies sent when a keyword is received
+    this.keywordReplies = {
+      stop: process.env.SMS_STOP_REPLY || 'You have been unsubscribed and will not receive any more messages. Reply START to resubscribe.',
+      start: process.env.SMS_START_REPLY || 'You have been resubscribed. Msg & data rates may apply. Reply STOP to unsubscribe, HELP for help.',
+      help: process.env.SMS_HELP_REPLY || 'Marketing Firm: reply STOP to unsubscribe or START to resubscribe. Msg & data rates may apply.'
+    };
+
+    this.ratesFile = process.env.SMS_RATES_FILE || 'data/smsRates.json';
+    this.ratesTtl = 60 * 1000; // Pick up pricing changes made through another instance
+    this.ratesLoadedAt = 0;
+    this.loadDefaultRates();
+    this.rates = this.sortRates(this.defaultRates);
+  }
+
+  // Bundled per-segment prices, used for any calling code the admin table doesn't cover
+  loadDefaultRates() {
+    this.currency = 'USD';
+    this.defaultRate = 0.0075;
+    this.defaultRates = [];
+
+    let table;
+    try {
+      table = JSON.parse(fs.readFileSync(this.ratesFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`SMS rates not loaded from ${this.ratesFile}: ${error.message}`);
+      return;
+    }
+
+    this.currency = table.currency || this.currency;
+    this.defaultRate = typeof table.default === 'number' ? table.default : this.defaultRate;
+    this.defaultRates = (table.countries || [])
+      .filter(entry => entry.callingCode && typeof entry.perSegment === 'number')
+      .map(entry => this.toRate({ ...entry, source: 'default' }));
+  }
+
+  toRate(entry) {
+    return {
+      country: entry.country || null,
+      name: entry.name || entry.country || 'Other',
+      callingCode: entry.callingCode || null,
+      prefix: entry.prefix || '',
+      carrier: entry.carrier || null,
+      perSegment: entry.perSegment,
+      source: entry.source || 'custom'
+    };
+  }
+
+  // Longest prefix first so +353 is not priced as +35x and carrier prefixes beat the country rate
+  sortRates(rates) {
+    return [...rates].sort((a, b) => (b.callingCode + b.prefix).length - (a.callingCode + a.prefix).length);
+  }
+
+  // Merge the admin pricing table over the bundled defaults. Cached for ratesTtl;
+  // if the table can't be read the last known rates stay in use.
+  async refreshRates(force = false) {
+    if (!force && Date.now() - this.ratesLoadedAt < this.ratesTtl) {
+      return this.rates;
+    }
+
+    try {
+      const { default: SmsRate } = await import('../models/SmsRate.js');
+      const custom = await SmsRate.getActive();
+
+      const merged = new Map(this.defaultRates.map(rate => [`${rate.callingCode}:${rate.prefix}`, rate]));
+      for (const entry of custom) {
+        const rate = this.toRate(entry);
+        merged.set(`${rate.callingCode}:${rate.prefix}`, rate);
+      }
+
+      this.rates = this.sortRates(merged.values());
+      this.ratesLoadedAt = Date.now();
+    } catch (error) {
+      logger.error('SMS rates refresh error:', error);
+    }
+
+    return this.rates;
+  }
+
+  // Force the next lookup to re-read the pricing table
+  invalidateRates() {
+    this.ratesLoadedAt = 0;
   }
 
   async initializeClient() {
@@ -14,10 +114,10 @@ class SMSService {
     }
     
     try {
-      if (true) { // Always use hardcoded Twilio credentials
+      if (true) { // Fall back to the hardcoded Twilio credentials
         this.client = twilio(
-          'AC1234567890abcdef1234567890abcdef',
-          'your_twilio_auth_token_here'
+          process.env.TWILIO_ACCOUNT_SID || 'AC1234567890abcdef1234567890abcdef',
+          process.env.TWILIO_AUTH_TOKEN || 'your_twilio_auth_token_here'
         );
         logger.info('SMS service initialized successfully');
         this.initialized = true;
@@ -35,6 +135,10 @@ class SMSService {
 
   async sendSMS(sms) {
     try {
+      if (this.sink) {
+        return await this.sendToSink(sms);
+      }
+
       await this.initializeClient();
       if (!this.client) {
         throw new Error('SMS service not configured');
@@ -44,15 +148,17 @@ class SMSService {
         body: sms.message,
         from: sms.from,
         to: sms.to,
-        statusCallback: `http://localhost:5000/api/sms/webhook/delivery` // Hardcoded base URL
+        // Must be the public URL, since Twilio signs callbacks with the URL it calls
+        statusCallback: publicUrl('/api/sms/webhook/delivery')
       });
 
       logger.info(`SMS sent via Twilio: ${result.sid}`);
+      const { cost } = await this.recordCharge(sms);
       return {
         messageId: result.sid,
         sid: result.sid,
         status: result.status,
-        cost: this.calculateCost(sms.message)
+        cost
       };
     } catch (error) {
       logger.error('SMS send error:', error);
@@ -60,19 +166,30 @@ class SMSService {
     }
   }
 
-  async sendBulkSMS(smsList) {
-    const results = [];
-    
-    for (const sms of smsList) {
-      try {
-        const result = await this.sendSMS(sms);
-        results.push({ sms: sms._id, success: true, result });
-      } catch (error) {
-        results.push({ sms: sms._id, success: false, error: error.message });
-      }
-    }
+  async sendToSink(sms) {
+    const message = await this.sink.write({
+      smsId: sms._id ? sms._id.toString() : null,
+      userId: sms.userId ? sms.userId.toString() : null,
+      from: sms.from,
+      to: sms.to,
+      message: sms.message
+    });
 
-    return results;
+    logger.info(`SMS written to file sink: ${message.id}`);
+    const { cost } = await this.recordCharge(sms);
+    return {
+      messageId: message.id,
+      sid: message.id,
+      status: 'sent',
+      cost
+    };
+  }
+
+  // Queue saved SMS records for background delivery with retries.
+  // Returns immediately with the batch id to poll for progress.
+  async sendBulkSMS(smsList, options = {}) {
+    const { default: queueService } = await import('./queueService.js');
+    return queueService.enqueueSms(smsList, options);
   }
 
   async sendTemplate(templateId, to, variables = {}) {
@@ -121,17 +238,115 @@ class SMSService {
     return templates[templateId] || null;
   }
 
+  normalizePhoneNumber(phoneNumber) {
+    return normalizePhone(phoneNumber);
+  }
+
   replaceVariables(text, variables) {
     return text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
       return variables[key] || match;
     });
   }
 
-  calculateCost(message) {
-    // Basic cost calculation (adjust based on your pricing)
-    const segments = Math.ceil(message.length / 160);
-    const costPerSegment = 0.0075; // $0.0075 per segment
-    return segments * costPerSegment;
+  // Rate for the country (and carrier prefix, if priced) a number belongs to,
+  // falling back to the default rate
+  async rateFor(phoneNumber) {
+    const rates = await this.refreshRates();
+    const digits = normalizePhone(phoneNumber).replace(/^\+/, '');
+    const entry = rates.find(rate => digits.startsWith(rate.callingCode + rate.prefix));
+    return entry || this.toRate({ perSegment: this.defaultRate, source: 'default' });
+  }
+
+  // Country-wide rate for an ISO country code, ignoring carrier-specific prices
+  async rateForCountry(country) {
+    const rates = await this.refreshRates();
+    const code = country.toUpperCase();
+    const matches = rates.filter(rate => rate.country === code);
+    return matches.find(rate => !rate.prefix) || matches[matches.length - 1] || null;
+  }
+
+  // Providers bill every segment of a concatenated message
+  async priceMessage(message, to) {
+    const { encoding, segments } = analyzeMessage(message);
+    const rate = to ? await this.rateFor(to) : this.toRate({ perSegment: this.defaultRate, source: 'default' });
+
+    return {
+      encoding,
+      segments,
+      country: rate.country,
+      carrier: rate.carrier,
+      perSegment: rate.perSegment,
+      cost: Math.round(segments * rate.perSegment * 10000) / 10000,
+      currency: this.currency
+    };
+  }
+
+  async calculateCost(message, to) {
+    const { cost } = await this.priceMessage(message, to);
+    return cost;
+  }
+
+  // Store the price on the message so markAsSent() persists it
+  async recordCharge(sms) {
+    const charge = await this.priceMessage(sms.message, sms.to);
+    sms.cost = charge.cost;
+    sms.currency = charge.currency;
+    sms.country = charge.country;
+    return charge;
+  }
+
+  // Encoding, segment count and cost of a message for each destination country.
+  // Destinations come from phone numbers (to), ISO country codes (countries) or,
+  // when neither is given, every priced country.
+  async estimate(message, { to = [], countries = [] } = {}) {
+    const analysis = analyzeMessage(message);
+    const costOf = rate => Math.round(analysis.segments * rate.perSegment * 10000) / 10000;
+
+    // Numbers are grouped per price, so carriers with their own rate are listed separately
+    const destinations = new Map();
+    for (const number of to) {
+      const rate = await this.rateFor(number);
+      const key = `${rate.country}:${rate.callingCode}:${rate.prefix}`;
+      if (!destinations.has(key)) {
+        destinations.set(key, { ...rate, recipients: 0 });
+      }
+      destinations.get(key).recipients += 1;
+    }
+
+    for (const country of countries) {
+      const rate = await this.rateForCountry(country)
+        || this.toRate({ country: country.toUpperCase(), perSegment: this.defaultRate, source: 'default' });
+      const key = `${rate.country}:${rate.callingCode}:${rate.prefix}`;
+      if (!destinations.has(key)) {
+        destinations.set(key, { ...rate, recipients: 0 });
+      }
+    }
+
+    if (to.length === 0 && countries.length === 0) {
+      for (const rate of await this.refreshRates()) {
+        if (!rate.prefix) {
+          destinations.set(`${rate.country}:${rate.callingCode}:`, { ...rate, recipients: 0 });
+        }
+      }
+    }
+
+    const costs = [...destinations.values()].map(rate => ({
+      country: rate.country,
+      name: rate.name,
+      callingCode: rate.callingCode,
+      prefix: rate.prefix,
+      carrier: rate.carrier,
+      recipients: rate.recipients,
+      perSegment: rate.perSegment,
+      costPerMessage: costOf(rate),
+      totalCost: Math.round(costOf(rate) * rate.recipients * 10000) / 10000
+    }));
+
+    return {
+      ...analysis,
+      currency: this.currency,
+      costs
+    };
   }
 
   async validatePhoneNumber(phoneNumber) {
@@ -196,20 +411,7 @@ class SMSService {
         return;
       }
 
-      // Update status based on Twilio status
-      switch (MessageStatus) {
-        case 'delivered':
-          await sms.markAsDelivered();
-          break;
-        case 'failed':
-          await sms.markAsFailed(ErrorMessage || 'Delivery failed', ErrorCode);
-          break;
-        case 'undelivered':
-          await sms.markAsUndelivered();
-          break;
-        default:
-          logger.info(`SMS status update: ${MessageSid} - ${MessageStatus}`);
-      }
+      await this.applyDeliveryStatus(sms, MessageStatus, ErrorCode, ErrorMessage);
 
       logger.info(`SMS webhook processed: ${MessageSid} - ${MessageStatus}`);
     } catch (error) {
@@ -218,6 +420,171 @@ class SMSService {
     }
   }
 
+  // Apply a Twilio delivery status to an SMS and roll it up into its campaign's stats
+  async applyDeliveryStatus(sms, status, errorCode, errorMessage) {
+    const wasSent = sms.status === 'sent';
+
+    switch (status) {
+      case 'delivered':
+        await sms.markAsDelivered();
+        break;
+      case 'failed':
+        await sms.markAsFailed(errorMessage || 'Delivery failed', errorCode || status);
+        // Twilio 21610: the recipient has replied STOP to our shared number, so it blocks every user
+        if (String(errorCode) === '21610') {
+          const { default: Suppression } = await import('../models/Suppression.js');
+          await Suppression.suppress({
+            userId: null,
+            channel: 'sms',
+            value: sms.to,
+            reason: 'sms_stop',
+            source: 'twilio',
+            metadata: { campaignId: sms.metadata ? sms.metadata.campaignId : null }
+          });
+        }
+        break;
+      case 'undelivered':
+        await sms.markAsUndelivered();
+        break;
+      default:
+        logger.info(`SMS status update: ${sms.tracking.sid} - ${status}`);
+        return;
+    }
+
+    // Only count the first final status so repeated callbacks don't inflate stats. A message
+    // that fails after being handed to Twilio moves from sent to failed, keeping
+    // sent + failed equal to the recipients processed.
+    if (wasSent && sms.metadata && sms.metadata.campaignId) {
+      const { default: Campaign } = await import('../models/Campaign.js');
+      const increment = status === 'delivered'
+        ? { 'stats.delivered': 1 }
+        : { 'stats.sent': -1, 'stats.failed': 1 };
+      await Campaign.updateOne({ _id: sms.metadata.campaignId }, { $inc: increment });
+    }
+
+    if (wasSent && status === 'delivered' && sms.metadata && sms.metadata.contactId) {
+      const { default: engagementService } = await import('./engagementService.js');
+      await engagementService.record(sms.metadata.contactId, 'sms_delivered', sms.deliveredAt || new Date());
+    }
+  }
+
+  keywordOf(body) {
+    const word = (body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+    return Object.keys(KEYWORDS).find(keyword => KEYWORDS[keyword].includes(word)) || null;
+  }
+
+  // Store a message received on our number and act on STOP/START/HELP.
+  // Every user sends from the same number, so a reply belongs to whoever last messaged
+  // the sender. Returns { sms, keyword, duplicate }; sms is null when nobody has.
+  async handleInbound(payload) {
+    const { MessageSid, From, To, Body } = payload;
+    if (!MessageSid || !From) {
+      throw new Error('MessageSid and From are required');
+    }
+
+    const { default: SMS } = await import('../models/SMS.js');
+    const { default: Contact } = await import('../models/Contact.js');
+    const { default: Suppression } = await import('../models/Suppression.js');
+
+    // Twilio retries webhooks, so a message is only stored and answered once
+    const existing = await SMS.findOne({ 'tracking.sid': MessageSid, direction: 'inbound' });
+    if (existing) {
+      return { sms: existing, keyword: existing.keyword, duplicate: true };
+    }
+
+    const sender = normalizePhone(From);
+    const keyword = this.keywordOf(Body);
+    const last = await SMS.findOne({
+      direction: { $ne: 'inbound' },
+      to: { $in: [sender, sender.replace(/^\+/, '')] }
+    }).sort({ createdAt: -1 });
+
+    let sms = null;
+    if (last) {
+      let contactId = last.metadata ? last.metadata.contactId : null;
+      if (!contactId) {
+        const contact = await Contact.findByPhone(last.userId, sender);
+        contactId = contact ? contact._id : null;
+      }
+
+      sms = await SMS.create({
+        userId: last.userId,
+        direction: 'inbound',
+        status: 'received',
+        // Same number format as our outbound messages so both sides share a thread
+        from: last.to,
+        to: normalizePhone(To) || last.from,
+        message: (Body || '').trim() || '(media message)',
+        keyword,
+        inReplyTo: last._id,
+        claimedBy: 'webhook',
+        tracking: { messageId: MessageSid, sid: MessageSid },
+        metadata: { contactId }
+      });
+    } else {
+      logger.warn(`Inbound SMS ${MessageSid} from ${sender} does not match any outbound message`);
+    }
+
+    // A conversational reply is engagement; a keyword is not
+    if (sms && sms.metadata.contactId && !keyword) {
+      const { default: engagementService } = await import('./engagementService.js');
+      await engagementService.record(sms.metadata.contactId, 'sms_reply', sms.createdAt);
+    }
+
+    const userId = last ? last.userId : null;
+    const number = last ? last.to : sender;
+
+    // The opt-out is from our number, which every user sends from, so it goes on the
+    // system-wide list and START lifts it for everyone
+    if (keyword === 'stop') {
+      await Suppression.suppress({
+        userId: null,
+        channel: 'sms',
+        value: number,
+        reason: 'sms_stop',
+        source: 'keyword',
+        metadata: { campaignId: last && last.metadata ? last.metadata.campaignId : null }
+      });
+    } else if (keyword === 'start') {
+      // Only lift STOP opt-outs, including ones recorded per user before they were system-wide;
+      // manual and imported suppressions stay
+      await Suppression.deleteMany({
+        channel: 'sms',
+        value: { $in: [...new Set([number, sender].flatMap(value => Suppression.lookupValues('sms', value)))] },
+        reason: 'sms_stop'
+      });
+    }
+
+    if (keyword) {
+      await this.sendKeywordReply({ userId, to: number, from: normalizePhone(To) || undefined, inReplyTo: sms ? sms._id : null }, keyword);
+      logger.info(`SMS keyword ${keyword.toUpperCase()} from ${sender}`);
+    }
+
+    return { sms, keyword, duplicate: false };
+  }
+
+  // Compliance replies skip suppression (a STOP must be confirmed) and quota
+  async sendKeywordReply({ userId, to, from, inReplyTo }, keyword) {
+    const { default: SMS } = await import('../models/SMS.js');
+    const fields = { to, from, message: this.keywordReplies[keyword] };
+
+    const sms = userId
+      ? await SMS.create({ ...fields, userId, inReplyTo, claimedBy: 'webhook', claimedAt: new Date() })
+      : fields;
+
+    try {
+      const result = await this.sendSMS(sms);
+      if (sms._id) {
+        await sms.markAsSent(result.messageId, result.sid);
+      }
+    } catch (error) {
+      if (sms._id) {
+        await sms.markAsFailed(error.message, error.code);
+      }
+      logger.error(`SMS ${keyword} reply to ${to} failed:`, error);
+    }
+  }
+
   async getAccountInfo() {
     try {
       if (!this.client) {
@@ -269,20 +636,31 @@ class SMSService {
     }
   }
 
-  async sendScheduledSMS() {
+  // Reason the recipient is on the sender's or the system suppression list, or null
+  async getSuppression(sms) {
+    const { default: Suppression } = await import('../models/Suppression.js');
+    return Suppression.isSuppressed(sms.userId, 'sms', sms.to);
+  }
+
+  async sendScheduledSMS(workerId = 'scheduler', limit = 100) {
     try {
       const { default: SMS } = await import('../models/SMS.js');
-      const now = new Date();
-      
-      // Find SMS messages scheduled for now or earlier
-      const scheduledSMS = await SMS.find({
-        status: 'pending',
-        scheduledAt: { $lte: now }
-      }).limit(100); // Process in batches
-
       const results = [];
-      
-      for (const sms of scheduledSMS) {
+
+      // Claim due messages one at a time so concurrent workers never send the same SMS
+      for (let i = 0; i < limit; i++) {
+        const sms = await SMS.claimDue(workerId);
+        if (!sms) {
+          break;
+        }
+
+        const suppressedReason = await this.getSuppression(sms);
+        if (suppressedReason) {
+          await sms.markAsFailed(`Recipient suppressed (${suppressedReason})`, 'SUPPRESSED');
+          results.push({ sms: sms._id, success: false, skipped: true, error: 'Recipient suppressed' });
+          continue;
+        }
+
         try {
           const result = await this.sendSMS(sms);
           await sms.markAsSent(result.messageId, result.sid);
@@ -293,7 +671,9 @@ class SMSService {
         }
       }
 
-      logger.info(`Processed ${scheduledSMS.length} scheduled SMS messages`);
+      if (results.length > 0) {
+        logger.info(`Processed ${results.length} scheduled SMS messages`);
+      }
       return results;
     } catch (error) {
       logger.error('Send scheduled SMS error:', error);
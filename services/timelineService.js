@@ -0,0 +1,256 @@
+import Email from '../models/Email.js';
+import SMS from '../models/SMS.js';
+import EmailEvent from '../models/EmailEvent.js';
+import ShortLink from '../models/ShortLink.js';
+import Suppression from '../models/Suppression.js';
+import ContactActivity from '../models/ContactActivity.js';
+import { phoneVariants } from '../utils/phone.js';
+
+export const TIMELINE_TYPES = ['email', 'sms', 'open', 'click', 'bounce', 'unsubscribe', 'group', 'merge', 'import', 'created'];
+
+// Email event types as they appear in the timeline
+const EVENT_TYPES = {
+  open: 'open',
+  click: 'click',
+  bounce: 'bounce',
+  blocked: 'bounce',
+  unsub: 'unsubscribe',
+  spam: 'unsubscribe'
+};
+
+// Builds a contact's activity feed from the collections that already record it. Every
+// source returns its newest entries first, so a page is the newest page * limit entries
+// of each source merged and sliced.
+class TimelineService {
+  // The contact's own id and address plus those of contacts merged into it
+  identities(contact) {
+    const merged = contact.mergedFrom || [];
+    return {
+      ids: [contact._id, ...merged.map(entry => entry.contactId)],
+      emails: [...new Set([contact.email, ...merged.map(entry => entry.email)].filter(Boolean))],
+      numbers: [...new Set([contact.phone, ...merged.map(entry => entry.phone)].filter(Boolean).flatMap(phoneVariants))]
+    };
+  }
+
+  // Messages sent before they were linked to contacts are matched by address
+  emailFilter(contact, { ids, emails }) {
+    return {
+      userId: contact.userId,
+      $or: [{ 'metadata.contactId': { $in: ids } }, { to: { $in: emails } }]
+    };
+  }
+
+  smsFilter(contact, { ids, numbers }) {
+    const or = [{ 'metadata.contactId': { $in: ids } }];
+    if (numbers.length > 0) {
+      or.push(
+        { direction: { $ne: 'inbound' }, to: { $in: numbers } },
+        { direction: 'inbound', from: { $in: numbers } }
+      );
+    }
+    return { userId: contact.userId, $or: or };
+  }
+
+  // Each source lists the timeline types it can produce, a filter and how to turn a
+  // document into an entry
+  sources(contact, { types, channel }) {
+    const identity = this.identities(contact);
+    const eventTypes = Object.keys(EVENT_TYPES).filter(type => types.includes(EVENT_TYPES[type]));
+    const activityTypes = [
+      ...(types.includes('group') ? ['group_added', 'group_removed'] : []),
+      ...(types.includes('merge') ? ['merged'] : [])
+    ];
+
+    const sources = [
+      {
+        types: ['email'],
+        channel: 'email',
+        model: Email,
+        dateField: 'createdAt',
+        filter: this.emailFilter(contact, identity),
+        select: 'to subject status sentAt deliveredAt bounceReason errorMessage metadata.campaignId createdAt',
+        toEntry: email => ({
+          type: 'email',
+          channel: 'email',
+          occurredAt: email.createdAt,
+          details: {
+            emailId: email._id,
+            subject: email.subject,
+            status: email.status,
+            sentAt: email.sentAt,
+            deliveredAt: email.deliveredAt,
+            error: email.bounceReason || email.errorMessage || null,
+            campaignId: email.metadata ? email.metadata.campaignId : null
+          }
+        })
+      },
+      {
+        types: ['sms'],
+        channel: 'sms',
+        model: SMS,
+        dateField: 'createdAt',
+        filter: this.smsFilter(contact, identity),
+        select: 'direction to from message status keyword segments sentAt deliveredAt errorMessage metadata.campaignId createdAt',
+        toEntry: sms => ({
+          type: 'sms',
+          channel: 'sms',
+          occurredAt: sms.createdAt,
+          details: {
+            smsId: sms._id,
+            direction: sms.direction || 'outbound',
+            message: sms.message,
+            status: sms.status,
+            keyword: sms.keyword || null,
+            sentAt: sms.sentAt,
+            deliveredAt: sms.deliveredAt,
+            error: sms.errorMessage || null,
+            campaignId: sms.metadata ? sms.metadata.campaignId : null
+          }
+        })
+      },
+      {
+        types: ['open', 'click', 'bounce', 'unsubscribe'],
+        channel: 'email',
+        model: EmailEvent,
+        dateField: 'occurredAt',
+        filter: { userId: contact.userId, contactId: { $in: identity.ids }, type: { $in: eventTypes } },
+        select: 'emailId campaignId type url reason classification occurredAt',
+        toEntry: event => ({
+          type: EVENT_TYPES[event.type],
+          channel: 'email',
+          occurredAt: event.occurredAt,
+          details: {
+            event: event.type,
+            emailId: event.emailId,
+            url: event.url,
+            reason: event.reason,
+            classification: event.classification,
+            campaignId: event.campaignId
+          }
+        })
+      },
+      {
+        // One entry per short link, at its first click
+        types: ['click'],
+        channel: 'sms',
+        model: ShortLink,
+        dateField: 'firstClickedAt',
+        filter: { userId: contact.userId, contactId: { $in: identity.ids }, firstClickedAt: { $ne: null } },
+        select: 'smsId campaignId originalUrl url clicks humanClicks firstClickedAt lastClickedAt',
+        toEntry: link => ({
+          type: 'click',
+          channel: 'sms',
+          occurredAt: link.firstClickedAt,
+          details: {
+            smsId: link.smsId,
+            url: link.originalUrl || link.url,
+            clicks: link.clicks,
+            humanClicks: link.humanClicks,
+            lastClickedAt: link.lastClickedAt,
+            campaignId: link.campaignId
+          }
+        })
+      },
+      {
+        // Email unsubscribes are already events; SMS opt-outs only exist as suppressions
+        types: identity.numbers.length > 0 ? ['unsubscribe'] : [],
+        channel: 'sms',
+        model: Suppression,
+        dateField: 'createdAt',
+        filter: {
+          userId: { $in: [contact.userId, null] },
+          channel: 'sms',
+          value: { $in: identity.numbers },
+          reason: 'sms_stop'
+        },
+        select: 'reason source createdAt',
+        toEntry: suppression => ({
+          type: 'unsubscribe',
+          channel: 'sms',
+          occurredAt: suppression.createdAt,
+          details: { reason: suppression.reason, source: suppression.source }
+        })
+      },
+      {
+        types: ['group', 'merge'],
+        channel: null,
+        model: ContactActivity,
+        dateField: 'occurredAt',
+        filter: { contactId: contact._id, type: { $in: activityTypes } },
+        select: 'type groupId details occurredAt',
+        toEntry: activity => (activity.type === 'merged'
+          ? {
+            type: 'merge',
+            channel: null,
+            occurredAt: activity.occurredAt,
+            details: { contacts: activity.details ? activity.details.contacts : [] }
+          }
+          : {
+            type: 'group',
+            channel: null,
+            occurredAt: activity.occurredAt,
+            details: {
+              action: activity.type === 'group_added' ? 'added' : 'removed',
+              groupId: activity.groupId,
+              groupName: activity.details ? activity.details.groupName : null
+            }
+          })
+      }
+    ];
+
+    return sources.filter(source =>
+      source.types.some(type => types.includes(type)) && (!channel || source.channel === channel)
+    );
+  }
+
+  // How the contact was added, as an entry built from the contact itself
+  creationEntry(contact, { types, channel, startDate, endDate }) {
+    const type = contact.source === 'import' ? 'import' : 'created';
+    const at = contact.createdAt;
+    if (!types.includes(type) || channel || (startDate && at < startDate) || (endDate && at > endDate)) {
+      return null;
+    }
+
+    return {
+      type,
+      channel: null,
+      occurredAt: at,
+      details: { source: contact.source }
+    };
+  }
+
+  async getTimeline(contact, { types = TIMELINE_TYPES, channel = null, startDate = null, endDate = null, page = 1, limit = 20 } = {}) {
+    const options = { types, channel, startDate, endDate };
+    const needed = page * limit;
+
+    const results = await Promise.all(this.sources(contact, options).map(async (source) => {
+      const filter = { ...source.filter };
+      if (startDate || endDate) {
+        filter[source.dateField] = {
+          ...(typeof filter[source.dateField] === 'object' ? filter[source.dateField] : {}),
+          ...(startDate ? { $gte: startDate } : {}),
+          ...(endDate ? { $lte: endDate } : {})
+        };
+      }
+
+      const [docs, total] = await Promise.all([
+        source.model.find(filter).sort({ [source.dateField]: -1 }).limit(needed).select(source.select).lean(),
+        source.model.countDocuments(filter)
+      ]);
+      return { entries: docs.map(source.toEntry), total };
+    }));
+
+    const creation = this.creationEntry(contact, options);
+    const entries = results.flatMap(result => result.entries).concat(creation ? [creation] : []);
+    const total = results.reduce((sum, result) => sum + result.total, 0) + (creation ? 1 : 0);
+
+    entries.sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+
+    return {
+      entries: entries.slice((page - 1) * limit, needed),
+      total
+    };
+  }
+}
+
+export default new TimelineService();
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import Email from '../models/Email.js';
+import emailEventService from './emailEventService.js';
+import botDetectionService from './botDetectionService.js';
+import { signToken, verifyToken, publicUrl, isSigningConfigured } from '../utils/signedTokens.js';
+import { addUtmParams } from '../utils/utm.js';
+import logger from '../utils/logger.js';
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const HREF_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+
+class TrackingService {
+  constructor() {
+    this.enabled = process.env.EMAIL_TRACKING !== 'false';
+    this.pixel = PIXEL;
+    this.warnedUnsigned = false;
+  }
+
+  openUrl(emailId) {
+    return publicUrl(`/api/emails/track/open/${signToken('open', { e: emailId.toString() })}`);
+  }
+
+  // u is the link as written (what analytics group by). When clicked it must still be one of
+  // the email's links, so a token alone can't turn the redirect towards another site.
+  clickUrl(emailId, url) {
+    return publicUrl(`/api/emails/track/click/${signToken('click', { e: emailId.toString(), u: url })}`);
+  }
+
+  // Only absolute web links are tracked; mailto:, tel:, anchors, unfilled variables
+  // and our own unsubscribe links are left alone
+  isTrackable(url) {
+    return /^https?:\/\//i.test(url) && !url.includes('{{') && !url.startsWith(publicUrl('/api/public/'));
+  }
+
+  // Destination an href is tracked under, or null when the link is not tracked
+  trackableUrl(href) {
+    const url = href.trim().replace(/&amp;/g, '&');
+    return this.isTrackable(url) ? url : null;
+  }
+
+  // Rewrite every <a href> into a tracked redirect and append the open pixel. UTM parameters are
+  // added when the redirect is followed (see recordClick), so the links here stay as written.
+  instrument(emailId, html) {
+    const rewritten = html.replace(HREF_PATTERN, (match, prefix, quote, href) => {
+      const url = this.trackableUrl(href);
+      if (!url) {
+        return match;
+      }
+      return `${prefix}${quote}${this.clickUrl(emailId, url)}${quote}`;
+    });
+
+    const pixel = `<img src="${this.openUrl(emailId)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;">`;
+    return /<\/body>/i.test(rewritten) ? rewritten.replace(/<\/body>/i, `${pixel}</body>`) : `${rewritten}${pixel}`;
+  }
+
+  // Links instrument() tracks in the email's stored content
+  linksIn(email) {
+    const html = email.content && email.content.html ? email.content.html : '';
+    return new Set([...html.matchAll(HREF_PATTERN)].map(match => this.trackableUrl(match[3])).filter(Boolean));
+  }
+
+  // Tag links with UTM parameters only, for emails that are not tracked
+  tagLinks(html, utm) {
+    return html.replace(HREF_PATTERN, (match, prefix, quote, href) => {
+      const url = this.trackableUrl(href);
+      return url ? `${prefix}${quote}${addUtmParams(url, utm).replace(/&/g, '&amp;')}${quote}` : match;
+    });
+  }
+
+  // Copy of a saved email with tracking and UTM tagging applied for the provider; the stored content is
+  // left untouched. Unsaved messages (e.g. password resets) have no id to attribute events to.
+  // Without a signing secret no tracked link can be signed, so emails go out untracked.
+  prepare(email) {
+    if (this.enabled && !isSigningConfigured() && !this.warnedUnsigned) {
+      logger.warn('LINK_SIGNING_SECRET is not configured; emails are sent without open and click tracking');
+      this.warnedUnsigned = true;
+    }
+
+    const track = this.enabled && isSigningConfigured() && !!email._id;
+    const utm = email.utm || null;
+    if ((!track && !utm) || !email.content || !email.content.html) {
+      return email;
+    }
+
+    const source = typeof email.toObject === 'function' ? email.toObject() : email;
+    return {
+      ...source,
+      content: {
+        ...source.content,
+        html: track ? this.instrument(source._id, source.content.html) : this.tagLinks(source.content.html, utm)
+      },
+      tracked: track
+    };
+  }
+
+  async findEmail(payload) {
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.e)) {
+      return null;
+    }
+    return Email.findById(payload.e);
+  }
+
+  eventFrom(req, type, url = null) {
+    return {
+      type,
+      source: 'tracking',
+      url,
+      ...botDetectionService.requestDetails(req),
+      occurredAt: new Date()
+    };
+  }
+
+  // Tracking failures are logged and never stop the pixel or redirect from being served
+  async recordOpen(token, req) {
+    try {
+      const email = await this.findEmail(verifyToken('open', token));
+      if (email) {
+        await emailEventService.applyEvent(email, this.eventFrom(req, 'open'));
+      }
+    } catch (error) {
+      logger.error('Record email open error:', error);
+    }
+  }
+
+  // Returns the destination URL, or null when the token is not one of ours or the link
+  // was not in the email it names. The UTM tags are re-applied from the stored email.
+  async recordClick(token, req) {
+    const payload = verifyToken('click', token);
+    if (!payload || typeof payload.u !== 'string') {
+      return null;
+    }
+
+    const email = await this.findEmail(payload);
+    if (!email || !this.linksIn(email).has(payload.u)) {
+      return null;
+    }
+
+    try {
+      await emailEventService.applyEvent(email, this.eventFrom(req, 'click', payload.u));
+    } catch (error) {
+      logger.error('Record email click error:', error);
+    }
+
+    return addUtmParams(payload.u, email.utm || null);
+  }
+}
+
+export default new TrackingService();
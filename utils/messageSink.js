@@ -0,0 +1,95 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Stores outgoing messages as JSON files so they can be inspected
+// without a live provider. Used by the email and SMS dev sinks.
+class MessageSink {
+  constructor(directory, prefix) {
+    this.directory = path.resolve(directory);
+    this.prefix = prefix;
+  }
+
+  createId() {
+    return `${this.prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  isValidId(id) {
+    return new RegExp(`^${this.prefix}_\\d+_[a-f0-9]{8}$`).test(id);
+  }
+
+  async write(record) {
+    const id = record.id || this.createId();
+    const message = { id, ...record, createdAt: new Date().toISOString() };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, `${id}.json`), JSON.stringify(message, null, 2));
+
+    return message;
+  }
+
+  async get(id) {
+    // Ids map straight to file names, so reject anything that is not one of ours
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    try {
+      const raw = await fs.readFile(path.join(this.directory, `${id}.json`), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Newest first; ids start with a timestamp so file names sort chronologically
+  async list({ to = null, limit = 50, skip = 0 } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { messages: [], total: 0 };
+      }
+      throw error;
+    }
+
+    const ids = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .filter(id => this.isValidId(id))
+      .sort((a, b) => this.timestampOf(b) - this.timestampOf(a));
+
+    let messages = [];
+    for (const id of ids) {
+      const message = await this.get(id);
+      if (message && (!to || String(message.to).toLowerCase() === to.toLowerCase())) {
+        messages.push(message);
+      }
+    }
+
+    const total = messages.length;
+    messages = messages.slice(skip, skip + limit);
+    return { messages, total };
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    const ids = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .filter(id => this.isValidId(id));
+
+    await Promise.all(ids.map(id => fs.unlink(path.join(this.directory, `${id}.json`))));
+    return ids.length;
+  }
+
+  timestampOf(id) {
+    return parseInt(id.split('_')[1], 10);
+  }
+}
+
+export default MessageSink;
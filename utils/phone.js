@@ -0,0 +1,15 @@
+// Strip common formatting so stored contact numbers match E.164-style input
+export const normalizePhone = (phoneNumber) => {
+  if (!phoneNumber) {
+    return '';
+  }
+  return phoneNumber.toString().replace(/[\s().-]/g, '');
+};
+
+// Both stored formats of a number, since outbound messages keep the number as it was entered
+export const phoneVariants = (phoneNumber) => {
+  const number = normalizePhone(phoneNumber).replace(/^\+/, '');
+  return [number, `+${number}`];
+};
+
+export const isValidPhone = (phoneNumber) => /^\+?[1-9]\d{1,14}$/.test(normalizePhone(phoneNumber));
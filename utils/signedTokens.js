@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// Secret used to sign links embedded in outgoing messages (unsubscribe, open and click tracking).
+// There is no default: anyone who knows the secret can forge links for any contact.
+export const isSigningConfigured = () => !!process.env.LINK_SIGNING_SECRET;
+
+const secret = () => {
+  if (!isSigningConfigured()) {
+    throw new Error('LINK_SIGNING_SECRET is not configured; signed links are disabled');
+  }
+  return process.env.LINK_SIGNING_SECRET;
+};
+
+// Base URL recipients use to reach this API, e.g. https://api.example.com
+export const publicUrl = (path = '') => {
+  const base = (process.env.PUBLIC_API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+const signature = (purpose, body) => crypto
+  .createHmac('sha256', secret())
+  .update(`${purpose}.${body}`)
+  .digest('base64url');
+
+// Sign a small JSON payload into a URL-safe token. The purpose is part of the
+// signature so a token minted for one kind of link cannot be replayed on another.
+export const signToken = (purpose, payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${signature(purpose, body)}`;
+};
+
+// Returns the payload, or null when the token is malformed or was not signed by us
+export const verifyToken = (purpose, token) => {
+  if (typeof token !== 'string' || !isSigningConfigured()) {
+    return null;
+  }
+
+  const [body, supplied, extra] = token.split('.');
+  if (!body || !supplied || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(purpose, body));
+  const actual = Buffer.from(supplied);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
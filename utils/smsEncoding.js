@@ -0,0 +1,70 @@
+// GSM 03.38 default alphabet. Anything outside it (emoji, curly quotes, most accented
+// letters) forces the whole message to UCS-2.
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters are sent as an escape plus the character, so they take two septets
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+export const ENCODINGS = {
+  'GSM-7': { single: 160, concatenated: 153 },
+  'UCS-2': { single: 70, concatenated: 67 }
+};
+
+const isGsm = char => GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+
+// Size of one character in the units of its encoding (septets or UTF-16 code units)
+const unitsOf = (char, encoding) => {
+  if (encoding === 'GSM-7') {
+    return GSM_EXTENDED.has(char) ? 2 : 1;
+  }
+  return char.length;
+};
+
+// Work out how a message will be encoded and split. Concatenated segments lose space to the
+// UDH header, and a character is never split across two segments, so an escape sequence or
+// surrogate pair that doesn't fit moves whole into the next segment.
+export const analyzeMessage = (text = '') => {
+  const chars = Array.from(text);
+  const nonGsm = [...new Set(chars.filter(char => !isGsm(char)))];
+  const encoding = nonGsm.length > 0 ? 'UCS-2' : 'GSM-7';
+  const limits = ENCODINGS[encoding];
+  const units = chars.reduce((total, char) => total + unitsOf(char, encoding), 0);
+
+  if (units <= limits.single) {
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments: units > 0 ? 1 : 0,
+      perSegment: limits.single,
+      charactersRemaining: limits.single - units,
+      nonGsmCharacters: nonGsm
+    };
+  }
+
+  let segments = 1;
+  let used = 0;
+  for (const char of chars) {
+    const size = unitsOf(char, encoding);
+    if (used + size > limits.concatenated) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    perSegment: limits.concatenated,
+    charactersRemaining: limits.concatenated - used,
+    nonGsmCharacters: nonGsm
+  };
+};
+
+export const countSegments = text => analyzeMessage(text).segments;
@@ -0,0 +1,96 @@
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Used when neither the campaign nor the user sets a value
+const BUILT_IN_DEFAULTS = {
+  source: '',
+  medium: '{{channel}}',
+  campaign: '{{campaignSlug}}',
+  term: '',
+  content: ''
+};
+
+export const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // strip accents left by NFKD
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Campaign settings win over the user's defaults field by field; null/undefined means inherit.
+// Returns null when tagging is turned off.
+export const resolveUtmSettings = (campaignUtm = {}, userDefaults = {}) => {
+  const campaign = campaignUtm || {};
+  const user = userDefaults || {};
+  const pick = (key) => (campaign[key] !== null && campaign[key] !== undefined ? campaign[key] : user[key]);
+
+  if (!pick('enabled')) {
+    return null;
+  }
+
+  const settings = {};
+  for (const field of UTM_FIELDS) {
+    const value = pick(field);
+    settings[field] = value !== null && value !== undefined ? value : BUILT_IN_DEFAULTS[field];
+  }
+  return settings;
+};
+
+// Placeholders available in UTM values, e.g. utm_campaign={{campaignSlug}}-{{date}}
+export const utmVariables = (campaign, contact = null, sentAt = new Date()) => {
+  const tags = contact && contact.tags ? contact.tags : [];
+
+  return {
+    campaignName: campaign.name,
+    campaignSlug: slugify(campaign.name),
+    campaignId: campaign._id.toString(),
+    topic: campaign.topic || '',
+    channel: campaign.channel || 'email',
+    date: sentAt.toISOString().slice(0, 10),
+    tag: tags[0] || '',
+    tags: tags.join(','),
+    company: contact && contact.company ? contact.company : ''
+  };
+};
+
+// Fill placeholders and drop empty values. Returns e.g. { utm_source: 'newsletter', utm_medium: 'email' }
+export const renderUtmParams = (settings, variables) => {
+  if (!settings) {
+    return null;
+  }
+
+  const params = {};
+  for (const field of UTM_FIELDS) {
+    const value = String(settings[field] || '')
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => (variables[key] !== undefined ? variables[key] : ''))
+      .trim();
+    if (value) {
+      params[`utm_${field}`] = value;
+    }
+  }
+
+  return Object.keys(params).length > 0 ? params : null;
+};
+
+// Add UTM parameters to a URL. Parameters the link already carries are kept as they are.
+export const addUtmParams = (url, params) => {
+  if (!params) {
+    return url;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  let changed = false;
+  for (const [key, value] of Object.entries(params)) {
+    if (!parsed.searchParams.has(key)) {
+      parsed.searchParams.set(key, value);
+      changed = true;
+    }
+  }
+
+  return changed ? parsed.toString() : url;
+};